@@ -1,47 +1,1453 @@
 // High-Resolution Earth Visualization with Three.js
-class EarthVisualization {
+
+// Scene states and which states each one may move to
+const SCENE_TRANSITIONS = {
+    intro: ['zooming'],
+    zooming: ['menu'],
+    menu: ['transitioning'],
+    transitioning: ['intro', 'menu', 'dialog', 'focus', 'explore'],
+    dialog: ['transitioning'],
+    focus: ['transitioning'],
+    explore: ['transitioning']
+};
+
+// Tiny guarded state machine; emits 'change' plus an event named after the new state
+class SceneStateMachine {
+    constructor(initialState, transitions) {
+        this.state = initialState;
+        this.transitions = transitions;
+        this.listeners = {};
+    }
+    
+    is(...states) {
+        return states.includes(this.state);
+    }
+    
+    can(nextState) {
+        return (this.transitions[this.state] || []).includes(nextState);
+    }
+    
+    transition(nextState, detail = {}) {
+        if (!this.can(nextState)) {
+            console.warn(`Blocked scene transition: ${this.state} -> ${nextState}`);
+            return false;
+        }
+        
+        const previousState = this.state;
+        this.state = nextState;
+        this.emit('change', Object.assign({ from: previousState, to: nextState }, detail));
+        this.emit(nextState, Object.assign({ from: previousState }, detail));
+        return true;
+    }
+    
+    on(eventName, handler) {
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
+        }
+        this.listeners[eventName].push(handler);
+        
+        // Return an unsubscribe function
+        return () => this.off(eventName, handler);
+    }
+    
+    off(eventName, handler) {
+        const handlers = this.listeners[eventName];
+        if (handlers) {
+            this.listeners[eventName] = handlers.filter(h => h !== handler);
+        }
+    }
+    
+    emit(eventName, detail) {
+        (this.listeners[eventName] || []).slice().forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Scene '${eventName}' listener failed:`, error);
+            }
+        });
+    }
+}
+
+// Named analytics events fanned out to pluggable sinks. Nothing reaches a sink until the
+// visitor opts in: earlier events wait in memory and are thrown away if they opt out.
+class AnalyticsBus {
     constructor() {
+        this.sinks = [];
+        this.pending = [];
+        this.maxPending = 100;
+        this.consent = null; // null = not asked yet
+        this.sessionId = Math.random().toString(36).slice(2, 10);
+        this.sequence = 0;
+    }
+    
+    use(sink) {
+        this.sinks.push(sink);
+        this.deliver();
+        return sink;
+    }
+    
+    setConsent(granted) {
+        this.consent = granted;
+        if (!granted) {
+            // Opting out also drops anything a sink is still holding on to
+            this.pending = [];
+            this.sinks.forEach(sink => {
+                if (sink.clear) sink.clear();
+            });
+        }
+        this.deliver();
+    }
+    
+    track(name, properties = {}) {
+        if (this.consent === false) return;
+        
+        this.pending.push({
+            name: name,
+            properties: properties,
+            time: new Date().toISOString(),
+            session: this.sessionId,
+            sequence: this.sequence++
+        });
+        if (this.pending.length > this.maxPending) {
+            this.pending.shift();
+        }
+        this.deliver();
+    }
+    
+    deliver() {
+        if (this.consent !== true || this.sinks.length === 0) return;
+        
+        const events = this.pending;
+        this.pending = [];
+        events.forEach(event => {
+            this.sinks.forEach(sink => {
+                try {
+                    sink.receive(event);
+                } catch (error) {
+                    console.error(`Analytics sink '${sink.name}' failed:`, error);
+                }
+            });
+        });
+    }
+    
+    flush(unloading = false) {
+        if (this.consent !== true) return;
+        
+        this.sinks.forEach(sink => {
+            if (sink.flush) sink.flush(unloading);
+        });
+    }
+}
+
+// Named camera shots. offset moves the look-at point in screen terms (half-widths and
+// half-heights at the shot's distance), so [1, 0] pushes the globe to the left edge.
+// face turns the globe so a { lat, lon } points at the camera; path 'orbit' swings
+// around the globe instead of moving in a straight line. portrait overrides apply on
+// tall screens, where fit backs the camera off until a sphere that size fits the width.
+// content.json may add or override shots under "shots".
+const CAMERA_SHOTS = {
+    title: { distance: 1000, offset: [0, 0], duration: 3 },
+    menu: { distance: 160, offset: [1, 0], duration: 3, portrait: { offset: [0, -0.45], fit: 75 } },
+    center: { distance: 160, offset: [0, 0], duration: 2.5, portrait: { fit: 75 } },
+    right: { distance: 160, offset: [-0.8, 0], duration: 2.5, portrait: { offset: [0, 0.75], fit: 75 } },
+    top: { distance: 160, offset: [0.6, 0.8], duration: 2.5, portrait: { offset: [0, -0.75], fit: 75 } },
+    bottom: { distance: 160, offset: [0.6, -0.8], duration: 2.5, portrait: { offset: [0, 0.75], fit: 75 } },
+    bottomRight: { distance: 160, offset: [-0.6, -0.6], duration: 2.5, portrait: { offset: [0, 0.75], fit: 75 } },
+    explore: { distance: 220, offset: [0, 0], duration: 2, path: 'orbit' }
+};
+
+// Sponsor satellite tiers, biggest first. altitude is above the globe surface (radius 50),
+// speed is radians per 60fps frame and size the badge height in world units.
+// content.json may add or override tiers under "sponsorTiers".
+const SPONSOR_TIERS = {
+    platinum: { label: 'Platinum', color: '#e5e4e2', altitude: 24, speed: 0.0012, size: 9, inclination: 12 },
+    gold: { label: 'Gold', color: '#ffc83d', altitude: 18, speed: 0.0018, size: 7, inclination: 20 },
+    silver: { label: 'Silver', color: '#b8c4cc', altitude: 13, speed: 0.0026, size: 5.5, inclination: 28 },
+    bronze: { label: 'Bronze', color: '#cd7f32', altitude: 9, speed: 0.0034, size: 4.5, inclination: 35 }
+};
+
+// Built-in UI text. English is complete and fills in for any key another language lacks.
+// {name} placeholders are filled by t(); in markup ({back}, {esc}, {mute}, {close}) they
+// become key hints. content.json may add languages or override strings under "locales".
+const LOCALES = {
+    en: {
+        label: 'English',
+        dir: 'ltr',
+        strings: {
+            loading: 'Loading Earth...',
+            loadingIncomplete: 'Earth loaded with missing data',
+            loadingSkipped: '{name}: skipped',
+            loadingFallback: '{name}: using fallback',
+            startEnter: 'PRESS ENTER TO START',
+            startTap: 'TAP TO START',
+            mainMenu: 'Main menu',
+            language: 'Language',
+            close: 'Close',
+            dialogHint: 'Press {back} or {esc} to go back to menu',
+            dialogHintTouch: 'Swipe down or tap {close} to go back to menu',
+            keyEsc: 'Esc',
+            exploreRegion: 'Explore',
+            exploreHint: 'Drag to rotate · Scroll or pinch to zoom',
+            exploreReturn: 'Return {back}',
+            markerHint: 'Press {back} to return',
+            sponsorTier: '{tier} sponsor',
+            sponsorLogo: '{name} logo',
+            sponsorClose: 'Close sponsor details',
+            sponsorVisit: 'Visit website →',
+            announcementLabel: 'Transmission',
+            announcementDismiss: 'Dismiss announcement',
+            terminal: 'Terminal',
+            settings: 'Settings',
+            audio: 'Audio',
+            mute: 'Mute {mute}',
+            audioMaster: 'Master',
+            audioMusic: 'Music',
+            audioEffects: 'Effects',
+            audioVoices: 'Voices',
+            theme: 'Theme',
+            atmosphere: 'Atmosphere',
+            motion: 'Motion',
+            motionAuto: 'Auto',
+            motionReduce: 'Reduced',
+            motionFull: 'Full',
+            sun: 'Sun',
+            sunRealtime: 'Real-time',
+            sunTime: 'Time',
+            sunScrub: 'Scrub',
+            sunScrubLabel: 'Time of day (UTC)',
+            sunSpeed: 'Speed',
+            sunNow: 'Now',
+            problemSearch: 'Search problem statements',
+            problemTracks: 'Filter by track',
+            problemAll: 'All',
+            problemCount: '{count} of {total} problem statements',
+            problemNone: 'No problem statements match',
+            problemBack: '← All Problems',
+            problemTrack: 'Track',
+            problemDifficulty: 'Difficulty',
+            problemSponsor: 'Sponsor',
+            problemResources: 'Resources',
+            problemMarkdown: 'Download Markdown',
+            problemHtml: 'Download Printable HTML',
+            teamName: 'Team Name',
+            teamTrack: 'Track',
+            teamTrackSelect: 'Select a track',
+            trackAi: 'Artificial Intelligence',
+            trackWeb3: 'Web3 & Blockchain',
+            trackSustainability: 'Sustainability',
+            trackHealth: 'Health & Biotech',
+            trackOpen: 'Open Innovation',
+            teamMembers: 'Team Members',
+            addMember: '+ Add Member',
+            submitRegistration: 'Submit Registration',
+            member: 'Member',
+            memberName: 'Full Name',
+            memberEmail: 'Email',
+            memberPhone: 'Phone',
+            memberOrganisation: 'College / Organisation',
+            removeMember: 'Remove',
+            errorTeamNameRequired: 'Team name is required.',
+            errorTeamNameShort: 'Team name must be at least 3 characters.',
+            errorTeamNameChars: 'Use letters, numbers, spaces, dots, dashes or underscores only.',
+            errorTrack: 'Pick the track your team is competing in.',
+            errorTeamSize: 'Teams need between {min} and {max} members.',
+            errorNameRequired: 'Name is required.',
+            errorEmailRequired: 'Email is required.',
+            errorEmailInvalid: 'Enter a valid email address.',
+            errorEmailDuplicate: 'Each member needs their own email address.',
+            errorPhoneRequired: 'Phone number is required.',
+            errorPhoneInvalid: 'Enter a valid phone number.',
+            errorOrganisationRequired: 'College or organisation is required.',
+            registrationFix: 'Please fix the highlighted fields.',
+            registrationSending: 'Transmitting registration...',
+            registrationReceived: 'Registration received. See you at Astreon!',
+            registrationQueued: 'Signal lost. Your registration is queued and will be sent automatically.',
+            registrationDelivered: 'Your queued registration has been delivered.',
+            registrationRejected: 'Registration was rejected ({status}). Please check your details and try again.',
+            contactName: 'Name',
+            contactEmail: 'Email',
+            contactCategory: 'Topic',
+            contactCategorySelect: 'Select a topic',
+            contactGeneral: 'General question',
+            contactSponsorship: 'Sponsorship',
+            contactRegistration: 'Registration help',
+            contactPress: 'Press & media',
+            contactOther: 'Something else',
+            contactMessage: 'Message',
+            contactWebsite: 'Leave this field empty',
+            contactSubmit: 'Send Message',
+            contactMailto: 'Prefer email? Open it in your mail app',
+            errorContactCategory: 'Pick what your message is about.',
+            errorContactMessage: 'Write at least {min} characters.',
+            contactSending: 'Transmitting message...',
+            contactSent: 'Message received. We will get back to you soon.',
+            contactQueued: 'Signal lost. Your message is queued and will be sent automatically.',
+            contactDelivered: 'Your queued message has been delivered.',
+            contactRateLimited: 'Too many messages. Please try again in {minutes} min.',
+            contactRejected: 'Message was rejected ({status}). Try again or use the email link.',
+            socialLinks: 'Social links',
+            share: 'Share',
+            shareCopied: 'Link copied to clipboard.',
+            shareCopyFailed: 'Copy this link: {url}',
+            qrShow: 'Show QR code',
+            qrTitle: 'Scan to join Astreon',
+            qrImage: 'QR code for the event website',
+            qrClose: 'Close',
+            qrFailed: 'Could not create a QR code for this link.',
+            consentRegion: 'Privacy',
+            consentText: 'May we count anonymous events, like which sections you open, to improve Astreon? Nothing is collected unless you agree.',
+            consentAccept: 'Allow',
+            consentDecline: 'No thanks',
+            privacy: 'Privacy',
+            analyticsToggle: 'Usage statistics',
+            contentError: 'Could not load the event details',
+            contentRetry: 'Retry'
+        },
+        techWords: [
+            'INITIALIZE', 'PROTOCOL', 'MATRIX', 'VECTOR', 'QUANTUM',
+            'NEURAL', 'SYSTEM', 'BINARY', 'CODE', 'DATA',
+            'CYBER', 'DIGITAL', 'STREAM', 'FLUX', 'NEXUS',
+            'ORBIT', 'PLASMA', 'LASER', 'SIGNAL', 'CORE',
+            'ALPHA', 'BETA', 'GAMMA', 'DELTA', 'OMEGA',
+            'ERROR', 'LOADING', 'PROCESS', 'EXECUTE', 'RUN'
+        ]
+    },
+    es: {
+        label: 'Español',
+        dir: 'ltr',
+        strings: {
+            loading: 'Cargando la Tierra...',
+            loadingIncomplete: 'Tierra cargada con datos incompletos',
+            loadingSkipped: '{name}: omitido',
+            loadingFallback: '{name}: usando alternativa',
+            startEnter: 'PULSA ENTER PARA EMPEZAR',
+            startTap: 'TOCA PARA EMPEZAR',
+            mainMenu: 'Menú principal',
+            language: 'Idioma',
+            close: 'Cerrar',
+            dialogHint: 'Pulsa {back} o {esc} para volver al menú',
+            dialogHintTouch: 'Desliza hacia abajo o toca {close} para volver al menú',
+            exploreRegion: 'Explorar',
+            exploreHint: 'Arrastra para girar · Desplaza o pellizca para hacer zoom',
+            exploreReturn: 'Volver {back}',
+            markerHint: 'Pulsa {back} para volver',
+            sponsorTier: 'Patrocinador {tier}',
+            sponsorLogo: 'Logo de {name}',
+            sponsorClose: 'Cerrar detalles del patrocinador',
+            sponsorVisit: 'Visitar sitio web →',
+            announcementLabel: 'Transmisión',
+            announcementDismiss: 'Descartar aviso',
+            settings: 'Ajustes',
+            mute: 'Silenciar {mute}',
+            audioMaster: 'General',
+            audioMusic: 'Música',
+            audioEffects: 'Efectos',
+            audioVoices: 'Voces',
+            theme: 'Tema',
+            atmosphere: 'Atmósfera',
+            motion: 'Movimiento',
+            motionReduce: 'Reducido',
+            motionFull: 'Completo',
+            sun: 'Sol',
+            sunRealtime: 'Tiempo real',
+            sunTime: 'Hora',
+            sunScrub: 'Ajustar',
+            sunScrubLabel: 'Hora del día (UTC)',
+            sunSpeed: 'Velocidad',
+            sunNow: 'Ahora',
+            problemSearch: 'Buscar problemas',
+            problemTracks: 'Filtrar por categoría',
+            problemAll: 'Todos',
+            problemCount: '{count} de {total} problemas',
+            problemNone: 'Ningún problema coincide',
+            problemBack: '← Todos los problemas',
+            problemTrack: 'Categoría',
+            problemDifficulty: 'Dificultad',
+            problemSponsor: 'Patrocinador',
+            problemResources: 'Recursos',
+            problemMarkdown: 'Descargar Markdown',
+            problemHtml: 'Descargar HTML imprimible',
+            teamName: 'Nombre del equipo',
+            teamTrack: 'Categoría',
+            teamTrackSelect: 'Elige una categoría',
+            trackAi: 'Inteligencia Artificial',
+            trackWeb3: 'Web3 y Blockchain',
+            trackSustainability: 'Sostenibilidad',
+            trackHealth: 'Salud y Biotecnología',
+            trackOpen: 'Innovación Abierta',
+            teamMembers: 'Miembros del equipo',
+            addMember: '+ Añadir miembro',
+            submitRegistration: 'Enviar inscripción',
+            member: 'Miembro',
+            memberName: 'Nombre completo',
+            memberEmail: 'Correo electrónico',
+            memberPhone: 'Teléfono',
+            memberOrganisation: 'Universidad / Organización',
+            removeMember: 'Quitar',
+            errorTeamNameRequired: 'El nombre del equipo es obligatorio.',
+            errorTeamNameShort: 'El nombre del equipo debe tener al menos 3 caracteres.',
+            errorTeamNameChars: 'Usa solo letras, números, espacios, puntos, guiones o guiones bajos.',
+            errorTrack: 'Elige la categoría en la que compite tu equipo.',
+            errorTeamSize: 'Los equipos deben tener entre {min} y {max} miembros.',
+            errorNameRequired: 'El nombre es obligatorio.',
+            errorEmailRequired: 'El correo electrónico es obligatorio.',
+            errorEmailInvalid: 'Introduce un correo electrónico válido.',
+            errorEmailDuplicate: 'Cada miembro necesita su propio correo electrónico.',
+            errorPhoneRequired: 'El teléfono es obligatorio.',
+            errorPhoneInvalid: 'Introduce un número de teléfono válido.',
+            errorOrganisationRequired: 'La universidad u organización es obligatoria.',
+            registrationFix: 'Corrige los campos marcados.',
+            registrationSending: 'Transmitiendo inscripción...',
+            registrationReceived: 'Inscripción recibida. ¡Nos vemos en Astreon!',
+            registrationQueued: 'Señal perdida. Tu inscripción está en cola y se enviará automáticamente.',
+            registrationDelivered: 'Tu inscripción en cola se ha entregado.',
+            registrationRejected: 'La inscripción fue rechazada ({status}). Revisa tus datos e inténtalo de nuevo.',
+            contactName: 'Nombre',
+            contactEmail: 'Correo',
+            contactCategory: 'Tema',
+            contactCategorySelect: 'Elige un tema',
+            contactGeneral: 'Pregunta general',
+            contactSponsorship: 'Patrocinio',
+            contactRegistration: 'Ayuda con la inscripción',
+            contactPress: 'Prensa y medios',
+            contactOther: 'Otro',
+            contactMessage: 'Mensaje',
+            contactWebsite: 'Deja este campo vacío',
+            contactSubmit: 'Enviar mensaje',
+            contactMailto: '¿Prefieres el correo? Ábrelo en tu aplicación',
+            errorContactCategory: 'Elige de qué trata tu mensaje.',
+            errorContactMessage: 'Escribe al menos {min} caracteres.',
+            contactSending: 'Transmitiendo mensaje...',
+            contactSent: 'Mensaje recibido. Te responderemos pronto.',
+            contactQueued: 'Señal perdida. Tu mensaje está en cola y se enviará automáticamente.',
+            contactDelivered: 'Tu mensaje en cola se ha entregado.',
+            contactRateLimited: 'Demasiados mensajes. Inténtalo de nuevo en {minutes} min.',
+            contactRejected: 'El mensaje fue rechazado ({status}). Inténtalo de nuevo o usa el enlace de correo.',
+            socialLinks: 'Redes sociales',
+            share: 'Compartir',
+            shareCopied: 'Enlace copiado al portapapeles.',
+            shareCopyFailed: 'Copia este enlace: {url}',
+            qrShow: 'Mostrar código QR',
+            qrTitle: 'Escanea para unirte a Astreon',
+            qrImage: 'Código QR del sitio del evento',
+            qrClose: 'Cerrar',
+            qrFailed: 'No se pudo crear un código QR para este enlace.',
+            consentRegion: 'Privacidad',
+            consentText: '¿Podemos contar eventos anónimos, como las secciones que abres, para mejorar Astreon? No se recoge nada sin tu permiso.',
+            consentAccept: 'Permitir',
+            consentDecline: 'No, gracias',
+            privacy: 'Privacidad',
+            analyticsToggle: 'Estadísticas de uso',
+            contentError: 'No se pudieron cargar los detalles del evento',
+            contentRetry: 'Reintentar'
+        },
+        techWords: [
+            'INICIAR', 'PROTOCOLO', 'MATRIZ', 'VECTOR', 'CUÁNTICO',
+            'NEURAL', 'SISTEMA', 'BINARIO', 'CÓDIGO', 'DATOS',
+            'CIBER', 'DIGITAL', 'FLUJO', 'NEXO', 'ÓRBITA',
+            'PLASMA', 'LÁSER', 'SEÑAL', 'NÚCLEO', 'ALFA',
+            'BETA', 'GAMMA', 'DELTA', 'OMEGA', 'ERROR',
+            'CARGANDO', 'PROCESO', 'EJECUTAR'
+        ]
+    },
+    fr: {
+        label: 'Français',
+        dir: 'ltr',
+        strings: {
+            loading: 'Chargement de la Terre...',
+            loadingIncomplete: 'Terre chargée avec des données manquantes',
+            loadingSkipped: '{name} : ignoré',
+            loadingFallback: '{name} : version de secours',
+            startEnter: 'APPUYEZ SUR ENTRÉE POUR COMMENCER',
+            startTap: 'TOUCHEZ POUR COMMENCER',
+            mainMenu: 'Menu principal',
+            language: 'Langue',
+            close: 'Fermer',
+            dialogHint: 'Appuyez sur {back} ou {esc} pour revenir au menu',
+            dialogHintTouch: 'Balayez vers le bas ou touchez {close} pour revenir au menu',
+            keyEsc: 'Échap',
+            exploreRegion: 'Explorer',
+            exploreHint: 'Faites glisser pour tourner · Molette ou pincement pour zoomer',
+            exploreReturn: 'Retour {back}',
+            markerHint: 'Appuyez sur {back} pour revenir',
+            sponsorTier: 'Sponsor {tier}',
+            sponsorLogo: 'Logo de {name}',
+            sponsorClose: 'Fermer les détails du sponsor',
+            sponsorVisit: 'Visiter le site →',
+            announcementDismiss: "Ignorer l'annonce",
+            settings: 'Paramètres',
+            mute: 'Muet {mute}',
+            audioMaster: 'Général',
+            audioMusic: 'Musique',
+            audioEffects: 'Effets',
+            audioVoices: 'Voix',
+            theme: 'Thème',
+            atmosphere: 'Atmosphère',
+            motion: 'Mouvement',
+            motionReduce: 'Réduit',
+            motionFull: 'Complet',
+            sun: 'Soleil',
+            sunRealtime: 'Temps réel',
+            sunTime: 'Heure',
+            sunScrub: 'Régler',
+            sunScrubLabel: 'Heure de la journée (UTC)',
+            sunSpeed: 'Vitesse',
+            sunNow: 'Maintenant',
+            problemSearch: 'Rechercher un sujet',
+            problemTracks: 'Filtrer par thématique',
+            problemAll: 'Tous',
+            problemCount: '{count} sur {total} sujets',
+            problemNone: 'Aucun sujet ne correspond',
+            problemBack: '← Tous les sujets',
+            problemTrack: 'Thématique',
+            problemDifficulty: 'Difficulté',
+            problemResources: 'Ressources',
+            problemMarkdown: 'Télécharger en Markdown',
+            problemHtml: 'Télécharger en HTML imprimable',
+            teamName: "Nom de l'équipe",
+            teamTrack: 'Thématique',
+            teamTrackSelect: 'Choisissez une thématique',
+            trackAi: 'Intelligence Artificielle',
+            trackWeb3: 'Web3 et Blockchain',
+            trackSustainability: 'Développement durable',
+            trackHealth: 'Santé et Biotech',
+            trackOpen: 'Innovation Ouverte',
+            teamMembers: "Membres de l'équipe",
+            addMember: '+ Ajouter un membre',
+            submitRegistration: "Envoyer l'inscription",
+            member: 'Membre',
+            memberName: 'Nom complet',
+            memberEmail: 'E-mail',
+            memberPhone: 'Téléphone',
+            memberOrganisation: 'École / Organisation',
+            removeMember: 'Retirer',
+            errorTeamNameRequired: "Le nom de l'équipe est obligatoire.",
+            errorTeamNameShort: "Le nom de l'équipe doit comporter au moins 3 caractères.",
+            errorTeamNameChars: 'Utilisez uniquement des lettres, chiffres, espaces, points, tirets ou tirets bas.',
+            errorTrack: 'Choisissez la thématique de votre équipe.',
+            errorTeamSize: 'Une équipe compte entre {min} et {max} membres.',
+            errorNameRequired: 'Le nom est obligatoire.',
+            errorEmailRequired: "L'e-mail est obligatoire.",
+            errorEmailInvalid: 'Saisissez une adresse e-mail valide.',
+            errorEmailDuplicate: 'Chaque membre doit avoir sa propre adresse e-mail.',
+            errorPhoneRequired: 'Le numéro de téléphone est obligatoire.',
+            errorPhoneInvalid: 'Saisissez un numéro de téléphone valide.',
+            errorOrganisationRequired: "L'école ou l'organisation est obligatoire.",
+            registrationFix: 'Veuillez corriger les champs signalés.',
+            registrationSending: "Transmission de l'inscription...",
+            registrationReceived: 'Inscription reçue. Rendez-vous à Astreon !',
+            registrationQueued: 'Signal perdu. Votre inscription est en attente et sera envoyée automatiquement.',
+            registrationDelivered: 'Votre inscription en attente a été transmise.',
+            registrationRejected: "L'inscription a été refusée ({status}). Vérifiez vos informations et réessayez.",
+            contactName: 'Nom',
+            contactEmail: 'E-mail',
+            contactCategory: 'Sujet',
+            contactCategorySelect: 'Choisissez un sujet',
+            contactGeneral: 'Question générale',
+            contactSponsorship: 'Sponsoring',
+            contactRegistration: "Aide à l'inscription",
+            contactPress: 'Presse et médias',
+            contactOther: 'Autre chose',
+            contactMessage: 'Message',
+            contactWebsite: 'Laissez ce champ vide',
+            contactSubmit: 'Envoyer le message',
+            contactMailto: "Vous préférez l'e-mail ? Ouvrez-le dans votre messagerie",
+            errorContactCategory: 'Indiquez le sujet de votre message.',
+            errorContactMessage: 'Écrivez au moins {min} caractères.',
+            contactSending: 'Transmission du message...',
+            contactSent: 'Message reçu. Nous vous répondrons bientôt.',
+            contactQueued: "Signal perdu. Votre message est en file d'attente et sera envoyé automatiquement.",
+            contactDelivered: 'Votre message en attente a été livré.',
+            contactRateLimited: 'Trop de messages. Réessayez dans {minutes} min.',
+            contactRejected: 'Le message a été refusé ({status}). Réessayez ou utilisez le lien e-mail.',
+            socialLinks: 'Réseaux sociaux',
+            share: 'Partager',
+            shareCopied: 'Lien copié dans le presse-papiers.',
+            shareCopyFailed: 'Copiez ce lien : {url}',
+            qrShow: 'Afficher le QR code',
+            qrTitle: 'Scannez pour rejoindre Astreon',
+            qrImage: "QR code du site de l'événement",
+            qrClose: 'Fermer',
+            qrFailed: 'Impossible de créer un QR code pour ce lien.',
+            consentRegion: 'Confidentialité',
+            consentText: "Pouvons-nous compter des événements anonymes, comme les sections que vous ouvrez, pour améliorer Astreon ? Rien n'est collecté sans votre accord.",
+            consentAccept: 'Autoriser',
+            consentDecline: 'Non merci',
+            privacy: 'Confidentialité',
+            analyticsToggle: "Statistiques d'utilisation",
+            contentError: "Impossible de charger les détails de l'événement",
+            contentRetry: 'Réessayer'
+        },
+        techWords: [
+            'INITIALISER', 'PROTOCOLE', 'MATRICE', 'VECTEUR', 'QUANTIQUE',
+            'NEURONAL', 'SYSTÈME', 'BINAIRE', 'CODE', 'DONNÉES',
+            'CYBER', 'NUMÉRIQUE', 'FLUX', 'NEXUS', 'ORBITE',
+            'PLASMA', 'LASER', 'SIGNAL', 'NOYAU', 'ALPHA',
+            'BÊTA', 'GAMMA', 'DELTA', 'OMÉGA', 'ERREUR',
+            'CHARGEMENT', 'PROCESSUS', 'EXÉCUTER'
+        ]
+    },
+    ar: {
+        label: 'العربية',
+        dir: 'rtl',
+        strings: {
+            loading: 'جارٍ تحميل الأرض...',
+            loadingIncomplete: 'تم تحميل الأرض مع بيانات ناقصة',
+            loadingSkipped: '{name}: تم التخطي',
+            loadingFallback: '{name}: يُستخدم البديل',
+            startEnter: 'اضغط Enter للبدء',
+            startTap: 'انقر للبدء',
+            mainMenu: 'القائمة الرئيسية',
+            language: 'اللغة',
+            close: 'إغلاق',
+            dialogHint: 'اضغط {back} أو {esc} للعودة إلى القائمة',
+            dialogHintTouch: 'اسحب للأسفل أو انقر {close} للعودة إلى القائمة',
+            exploreRegion: 'استكشاف',
+            exploreHint: 'اسحب للتدوير · مرّر أو قرّب بإصبعين للتكبير',
+            exploreReturn: 'رجوع {back}',
+            markerHint: 'اضغط {back} للعودة',
+            sponsorTier: 'راعٍ {tier}',
+            sponsorLogo: 'شعار {name}',
+            sponsorClose: 'إغلاق تفاصيل الراعي',
+            sponsorVisit: 'زيارة الموقع ←',
+            announcementLabel: 'بث',
+            announcementDismiss: 'إخفاء الإعلان',
+            terminal: 'الطرفية',
+            settings: 'الإعدادات',
+            audio: 'الصوت',
+            mute: 'كتم {mute}',
+            audioMaster: 'الرئيسي',
+            audioMusic: 'الموسيقى',
+            audioEffects: 'المؤثرات',
+            audioVoices: 'الأصوات',
+            theme: 'السمة',
+            atmosphere: 'الغلاف الجوي',
+            motion: 'الحركة',
+            motionAuto: 'تلقائي',
+            motionReduce: 'مخفّضة',
+            motionFull: 'كاملة',
+            sun: 'الشمس',
+            sunRealtime: 'الوقت الفعلي',
+            sunTime: 'الوقت',
+            sunScrub: 'تمرير',
+            sunScrubLabel: 'الوقت من اليوم (UTC)',
+            sunSpeed: 'السرعة',
+            sunNow: 'الآن',
+            problemSearch: 'ابحث في المسائل',
+            problemTracks: 'التصفية حسب المسار',
+            problemAll: 'الكل',
+            problemCount: '{count} من {total} مسألة',
+            problemNone: 'لا توجد مسائل مطابقة',
+            problemBack: '→ كل المسائل',
+            problemTrack: 'المسار',
+            problemDifficulty: 'الصعوبة',
+            problemSponsor: 'الراعي',
+            problemResources: 'الموارد',
+            problemMarkdown: 'تنزيل Markdown',
+            problemHtml: 'تنزيل HTML للطباعة',
+            teamName: 'اسم الفريق',
+            teamTrack: 'المسار',
+            teamTrackSelect: 'اختر مسارًا',
+            trackAi: 'الذكاء الاصطناعي',
+            trackWeb3: 'Web3 والبلوك تشين',
+            trackSustainability: 'الاستدامة',
+            trackHealth: 'الصحة والتقنية الحيوية',
+            trackOpen: 'الابتكار المفتوح',
+            teamMembers: 'أعضاء الفريق',
+            addMember: '+ إضافة عضو',
+            submitRegistration: 'إرسال التسجيل',
+            member: 'العضو',
+            memberName: 'الاسم الكامل',
+            memberEmail: 'البريد الإلكتروني',
+            memberPhone: 'الهاتف',
+            memberOrganisation: 'الكلية / المؤسسة',
+            removeMember: 'إزالة',
+            errorTeamNameRequired: 'اسم الفريق مطلوب.',
+            errorTeamNameShort: 'يجب أن يتكون اسم الفريق من 3 أحرف على الأقل.',
+            errorTeamNameChars: 'استخدم الحروف والأرقام والمسافات والنقاط والشرطات والشرطات السفلية فقط.',
+            errorTrack: 'اختر المسار الذي يتنافس فيه فريقك.',
+            errorTeamSize: 'يجب أن يضم الفريق بين {min} و{max} أعضاء.',
+            errorNameRequired: 'الاسم مطلوب.',
+            errorEmailRequired: 'البريد الإلكتروني مطلوب.',
+            errorEmailInvalid: 'أدخل بريدًا إلكترونيًا صالحًا.',
+            errorEmailDuplicate: 'يحتاج كل عضو إلى بريد إلكتروني خاص به.',
+            errorPhoneRequired: 'رقم الهاتف مطلوب.',
+            errorPhoneInvalid: 'أدخل رقم هاتف صالحًا.',
+            errorOrganisationRequired: 'الكلية أو المؤسسة مطلوبة.',
+            registrationFix: 'يرجى تصحيح الحقول المميزة.',
+            registrationSending: 'جارٍ إرسال التسجيل...',
+            registrationReceived: 'تم استلام التسجيل. نراكم في Astreon!',
+            registrationQueued: 'انقطعت الإشارة. تم حفظ تسجيلك وسيُرسل تلقائيًا.',
+            registrationDelivered: 'تم تسليم تسجيلك المحفوظ.',
+            registrationRejected: 'تم رفض التسجيل ({status}). يرجى التحقق من بياناتك والمحاولة مرة أخرى.',
+            contactName: 'الاسم',
+            contactEmail: 'البريد الإلكتروني',
+            contactCategory: 'الموضوع',
+            contactCategorySelect: 'اختر موضوعًا',
+            contactGeneral: 'سؤال عام',
+            contactSponsorship: 'الرعاية',
+            contactRegistration: 'مساعدة في التسجيل',
+            contactPress: 'الصحافة والإعلام',
+            contactOther: 'موضوع آخر',
+            contactMessage: 'الرسالة',
+            contactWebsite: 'اترك هذا الحقل فارغًا',
+            contactSubmit: 'إرسال الرسالة',
+            contactMailto: 'تفضل البريد؟ افتحه في تطبيق البريد',
+            errorContactCategory: 'اختر موضوع رسالتك.',
+            errorContactMessage: 'اكتب {min} حرفًا على الأقل.',
+            contactSending: 'جارٍ إرسال الرسالة...',
+            contactSent: 'تم استلام الرسالة. سنرد عليك قريبًا.',
+            contactQueued: 'انقطعت الإشارة. رسالتك في قائمة الانتظار وسيتم إرسالها تلقائيًا.',
+            contactDelivered: 'تم تسليم رسالتك المنتظرة.',
+            contactRateLimited: 'رسائل كثيرة جدًا. حاول مرة أخرى بعد {minutes} دقيقة.',
+            contactRejected: 'تم رفض الرسالة ({status}). حاول مرة أخرى أو استخدم رابط البريد.',
+            socialLinks: 'روابط التواصل الاجتماعي',
+            share: 'مشاركة',
+            shareCopied: 'تم نسخ الرابط.',
+            shareCopyFailed: 'انسخ هذا الرابط: {url}',
+            qrShow: 'عرض رمز QR',
+            qrTitle: 'امسح للانضمام إلى Astreon',
+            qrImage: 'رمز QR لموقع الفعالية',
+            qrClose: 'إغلاق',
+            qrFailed: 'تعذر إنشاء رمز QR لهذا الرابط.',
+            consentRegion: 'الخصوصية',
+            consentText: 'هل تسمح لنا بإحصاء أحداث مجهولة الهوية، مثل الأقسام التي تفتحها، لتحسين Astreon؟ لا يُجمع أي شيء دون موافقتك.',
+            consentAccept: 'سماح',
+            consentDecline: 'لا، شكرًا',
+            privacy: 'الخصوصية',
+            analyticsToggle: 'إحصاءات الاستخدام',
+            contentError: 'تعذّر تحميل تفاصيل الحدث',
+            contentRetry: 'إعادة المحاولة'
+        },
+        techWords: [
+            'تهيئة', 'بروتوكول', 'مصفوفة', 'متجه', 'كمّي',
+            'عصبي', 'نظام', 'ثنائي', 'شيفرة', 'بيانات',
+            'سيبراني', 'رقمي', 'تدفق', 'مدار', 'بلازما',
+            'ليزر', 'إشارة', 'نواة', 'ألفا', 'بيتا',
+            'غاما', 'دلتا', 'أوميغا', 'خطأ', 'تحميل',
+            'معالجة', 'تنفيذ', 'تشغيل'
+        ]
+    }
+};
+
+// Built-in themes. Earth tints are linear RGB multipliers for the texture brightness;
+// trueColor blends back towards the original textures (1 = untinted Earth).
+// atmosphere is the color and strength of the rim-glow shell around the globe.
+// content.json may add more under "themes", optionally extending one of these.
+const THEMES = {
+    green: {
+        label: 'Terminal',
+        earth: {
+            dayTint: [0.3, 0.9, 0.5],
+            nightTint: [0.2, 0.7, 0.3],
+            specularTint: [0.3, 0.8, 0.4],
+            atmosphereColor: [0.1, 0.3, 0.15],
+            trueColor: 0
+        },
+        atmosphere: { color: [0.3, 1, 0.55], intensity: 1 },
+        cloudTint: '#ffffff',
+        ui: {
+            accent: '#00ff7f',
+            accentHover: '#00ffaa',
+            accentDim: '#00cc66',
+            panel: '#00140a',
+            panelMid: '#00321e',
+            panelLight: '#005028',
+            glow: '#0096ff',
+            glowDeep: '#0064c8'
+        },
+        fonts: {
+            display: "'Haksen', sans-serif",
+            interface: "'Sevastopol Interface', monospace",
+            ambient: "'Octogram', monospace"
+        }
+    },
+    amber: {
+        label: 'Amber',
+        earth: {
+            dayTint: [0.95, 0.6, 0.15],
+            nightTint: [0.75, 0.4, 0.08],
+            specularTint: [0.9, 0.6, 0.2],
+            atmosphereColor: [0.3, 0.18, 0.05],
+            trueColor: 0
+        },
+        atmosphere: { color: [1, 0.65, 0.2], intensity: 1 },
+        cloudTint: '#ffe2b8',
+        ui: {
+            accent: '#ffb000',
+            accentHover: '#ffc84d',
+            accentDim: '#cc8c00',
+            panel: '#140c00',
+            panelMid: '#321e00',
+            panelLight: '#503200',
+            glow: '#ff7a00',
+            glowDeep: '#c85000'
+        },
+        fonts: {
+            display: "'Octogram', sans-serif",
+            interface: "'Sevastopol Interface', monospace",
+            ambient: "'Octogram', monospace"
+        }
+    },
+    cyan: {
+        label: 'Cyan',
+        earth: {
+            dayTint: [0.2, 0.8, 0.95],
+            nightTint: [0.1, 0.5, 0.75],
+            specularTint: [0.3, 0.7, 0.9],
+            atmosphereColor: [0.05, 0.2, 0.3],
+            trueColor: 0
+        },
+        atmosphere: { color: [0.3, 0.85, 1], intensity: 1 },
+        cloudTint: '#d8f8ff',
+        ui: {
+            accent: '#00e5ff',
+            accentHover: '#66f0ff',
+            accentDim: '#00b8cc',
+            panel: '#000e14',
+            panelMid: '#002432',
+            panelLight: '#003c50',
+            glow: '#0096ff',
+            glowDeep: '#0064c8'
+        },
+        fonts: {
+            display: "'Haksen', sans-serif",
+            interface: "'Sevastopol Interface', monospace",
+            ambient: "'Octogram', monospace"
+        }
+    },
+    earth: {
+        label: 'True Color',
+        earth: {
+            dayTint: [1, 1, 1],
+            nightTint: [1, 0.85, 0.6],
+            specularTint: [0.6, 0.7, 0.8],
+            atmosphereColor: [0.3, 0.5, 1],
+            trueColor: 1
+        },
+        atmosphere: { color: [0.35, 0.6, 1], intensity: 1.2 },
+        cloudTint: '#ffffff',
+        ui: {
+            accent: '#7bb3f0',
+            accentHover: '#a8cef7',
+            accentDim: '#4a90e2',
+            panel: '#050a14',
+            panelMid: '#0f1e32',
+            panelLight: '#1a2e4a',
+            glow: '#0096ff',
+            glowDeep: '#0064c8'
+        },
+        fonts: {
+            display: "'Haksen', sans-serif",
+            interface: "'Sevastopol Interface', monospace",
+            ambient: "'Octogram', monospace"
+        }
+    }
+};
+
+// [EC codewords per block, blocks in group 1, data codewords each, blocks in group 2, data codewords each]
+// for error correction level M, indexed by QR version
+const QR_BLOCKS = [
+    null,
+    [10, 1, 16, 0, 0], [16, 1, 28, 0, 0], [26, 1, 44, 0, 0], [18, 2, 32, 0, 0], [24, 2, 43, 0, 0],
+    [16, 4, 27, 0, 0], [18, 4, 31, 0, 0], [22, 2, 38, 2, 39], [22, 3, 36, 2, 37], [26, 4, 43, 1, 44]
+];
+
+// Alignment pattern centers per QR version
+const QR_ALIGNMENT = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30],
+    [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+// Small QR code encoder (byte mode, error correction level M, versions 1-10),
+// enough for an event URL without calling out to a QR service
+class QRCode {
+    constructor(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+        
+        this.version = QR_BLOCKS.findIndex((blocks, version) => {
+            if (!blocks) return false;
+            const capacity = blocks[1] * blocks[2] + blocks[3] * blocks[4];
+            const headerBits = 4 + (version < 10 ? 8 : 16);
+            return Math.ceil((headerBits + bytes.length * 8) / 8) <= capacity;
+        });
+        if (this.version < 1) {
+            throw new Error(`Text too long for a QR code (${bytes.length} bytes)`);
+        }
+        
+        this.size = this.version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        
+        this.drawFunctionPatterns();
+        const codewords = this.addErrorCorrection(this.encodeData(bytes));
+        this.drawCodewords(codewords);
+        
+        // Keep the mask that leaves the fewest scanner-confusing patterns
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.getPenalty();
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            this.applyMask(mask); // XOR again to undo
+        }
+        this.applyMask(bestMask);
+        this.drawFormatBits(bestMask);
+        this.mask = bestMask;
+    }
+    
+    isDark(row, col) {
+        return this.modules[row][col];
+    }
+    
+    setFunctionModule(row, col, dark) {
+        this.modules[row][col] = dark;
+        this.reserved[row][col] = true;
+    }
+    
+    drawFunctionPatterns() {
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+        
+        this.drawFinder(3, 3);
+        this.drawFinder(3, this.size - 4);
+        this.drawFinder(this.size - 4, 3);
+        
+        const positions = QR_ALIGNMENT[this.version];
+        const last = positions.length - 1;
+        positions.forEach((row, i) => {
+            positions.forEach((col, j) => {
+                // Skip the three corners taken by finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(row + dy, col + dx, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+        
+        // Reserve the format areas now; the real bits go in once the mask is chosen
+        this.drawFormatBits(0);
+        
+        if (this.version >= 7) {
+            let remainder = this.version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = (this.version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = this.size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(b, a, dark);
+                this.setFunctionModule(a, b, dark);
+            }
+        }
+    }
+    
+    drawFinder(centerRow, centerCol) {
+        // 7x7 finder plus its one-module light separator
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const row = centerRow + dy;
+                const col = centerCol + dx;
+                if (row < 0 || row >= this.size || col < 0 || col >= this.size) continue;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                this.setFunctionModule(row, col, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+    
+    drawFormatBits(mask) {
+        // Level M is 00; BCH(15,5) protected, then XORed so it is never all light
+        const data = mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+        
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(i, 8, bit(i));
+        this.setFunctionModule(7, 8, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(8, 7, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(8, 14 - i, bit(i));
+        
+        for (let i = 0; i < 8; i++) this.setFunctionModule(8, this.size - 1 - i, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(this.size - 15 + i, 8, bit(i));
+        this.setFunctionModule(this.size - 8, 8, true);
+    }
+    
+    encodeData(bytes) {
+        const blocks = QR_BLOCKS[this.version];
+        const capacity = (blocks[1] * blocks[2] + blocks[3] * blocks[4]) * 8;
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        
+        push(0b0100, 4);
+        push(bytes.length, this.version < 10 ? 8 : 16);
+        bytes.forEach(byte => push(byte, 8));
+        push(0, Math.min(4, capacity - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            push(pad, 8);
+        }
+        
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
+    }
+    
+    addErrorCorrection(data) {
+        const [ecLength, count1, length1, count2, length2] = QR_BLOCKS[this.version];
+        const divisor = QRCode.getGenerator(ecLength);
+        const dataBlocks = [];
+        const ecBlocks = [];
+        
+        let offset = 0;
+        for (let i = 0; i < count1 + count2; i++) {
+            const length = i < count1 ? length1 : length2;
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            dataBlocks.push(block);
+            ecBlocks.push(QRCode.getRemainder(block, divisor));
+        }
+        
+        // Interleave: first codeword of every block, then the second, and so on
+        const result = [];
+        for (let i = 0; i < Math.max(length1, length2); i++) {
+            dataBlocks.forEach(block => {
+                if (i < block.length) result.push(block[i]);
+            });
+        }
+        for (let i = 0; i < ecLength; i++) {
+            ecBlocks.forEach(block => result.push(block[i]));
+        }
+        return result;
+    }
+    
+    drawCodewords(codewords) {
+        let bitIndex = 0;
+        const totalBits = codewords.length * 8;
+        
+        // Two-module-wide columns, zigzagging up and down from the bottom right
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            const upward = ((right + 1) & 2) === 0;
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                const row = upward ? this.size - 1 - vertical : vertical;
+                for (let j = 0; j < 2; j++) {
+                    const col = right - j;
+                    if (this.reserved[row][col]) continue;
+                    if (bitIndex < totalBits) {
+                        this.modules[row][col] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                        bitIndex++;
+                    }
+                }
+            }
+        }
+    }
+    
+    applyMask(mask) {
+        const conditions = [
+            (r, c) => (r + c) % 2 === 0,
+            (r) => r % 2 === 0,
+            (r, c) => c % 3 === 0,
+            (r, c) => (r + c) % 3 === 0,
+            (r, c) => (Math.floor(r / 2) + Math.floor(c / 3)) % 2 === 0,
+            (r, c) => (r * c) % 2 + (r * c) % 3 === 0,
+            (r, c) => ((r * c) % 2 + (r * c) % 3) % 2 === 0,
+            (r, c) => ((r + c) % 2 + (r * c) % 3) % 2 === 0
+        ];
+        const invert = conditions[mask];
+        
+        for (let row = 0; row < this.size; row++) {
+            for (let col = 0; col < this.size; col++) {
+                if (!this.reserved[row][col] && invert(row, col)) {
+                    this.modules[row][col] = !this.modules[row][col];
+                }
+            }
+        }
+    }
+    
+    getPenalty() {
+        const size = this.size;
+        const at = (row, col, vertical) => vertical ? this.modules[col][row] : this.modules[row][col];
+        let penalty = 0;
+        let dark = 0;
+        
+        for (let vertical = 0; vertical < 2; vertical++) {
+            for (let row = 0; row < size; row++) {
+                let runLength = 0;
+                for (let col = 0; col < size; col++) {
+                    // Runs of five or more same-colored modules
+                    if (col > 0 && at(row, col, vertical) === at(row, col - 1, vertical)) {
+                        runLength++;
+                        if (runLength === 5) penalty += 3;
+                        else if (runLength > 5) penalty++;
+                    } else {
+                        runLength = 1;
+                    }
+                    
+                    // Finder look-alikes: 1:1:3:1:1 with four light modules on one side
+                    if (col + 10 < size) {
+                        const pattern = Array.from({ length: 11 }, (_, k) => at(row, col + k, vertical) ? 1 : 0).join('');
+                        if (pattern === '10111010000' || pattern === '00001011101') {
+                            penalty += 40;
+                        }
+                    }
+                }
+            }
+        }
+        
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const color = this.modules[row][col];
+                if (color) dark++;
+                if (row < size - 1 && col < size - 1 &&
+                    color === this.modules[row][col + 1] &&
+                    color === this.modules[row + 1][col] &&
+                    color === this.modules[row + 1][col + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+        
+        // Lopsided dark/light balance
+        const percent = dark * 100 / (size * size);
+        penalty += Math.floor(Math.abs(percent - 50) / 5) * 10;
+        return penalty;
+    }
+    
+    static multiply(x, y) {
+        // GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+    
+    static getGenerator(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = QRCode.multiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = QRCode.multiply(root, 0x02);
+        }
+        return result;
+    }
+    
+    static getRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= QRCode.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+}
+
+// options: {
+//     container: element holding the globe and its UI (default document.body); the canvas
+//                goes into its #canvas-container, or straight into it when there is none
+//     assets: { textures: path prefix for the earth maps, music, click, voices: [urls] }
+//     audio: false leaves out music, clicks and voices
+//     content: URL of the content config, or the config object itself
+//     startScreen: false skips the title screen and goes straight to the menu
+// }
+export class EarthVisualization {
+    constructor(options = {}) {
+        this.options = Object.assign({
+            container: document.body,
+            assets: {},
+            audio: true,
+            content: 'content.json',
+            startScreen: true
+        }, options);
+        this.root = this.options.container;
+        this.assetPaths = Object.assign({ textures: '' }, this.options.assets);
+        
+        // Everything registered through listen() is removed by destroy()
+        this.listenerController = new AbortController();
+        this.resizeObserver = null;
+        this.destroyed = false;
+        
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.controls = null;
         
         // Earth objects
+        this.sunLight = null;
         this.earthGroup = null;
         this.earth = null;
         this.clouds = null;
         this.atmosphere = null;
         this.stars = null;
         
+        // Geographic markers (children of this.earth so they turn with it)
+        this.markers = [];
+        this.markerGeometry = null;
+        this.markerRadius = 50.8;
+        this.markerFocusDistance = 110;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.pointerDownPosition = null;
+        this.hoveredMarker = null;
+        this.focusedMarker = null;
+        this.cameraFlight = null;
+        
+        // Sponsor satellites (children of this.earthGroup, orbiting independently of the spin)
+        this.sponsors = [];
+        this.sponsorTiers = SPONSOR_TIERS;
+        this.sponsorOrbits = null;
+        this.hoveredSponsor = null;
+        this.activeSponsor = null;
+        
         // Animation properties
         this.isAnimating = true;
         this.showClouds = true;
         this.showAtmosphere = true;
+        this.atmosphereKey = 'astreon.showAtmosphere';
+        this.atmosphereRadius = 51.2;
+        this.atmosphereCenter = new THREE.Vector3();
         this.earthRotationSpeed = 0.5;
         this.cloudRotationSpeed = 0.3;
-        this.hasStarted = false;
+        
+        // Themes (shader tints, cloud tint, UI colors and fonts)
+        this.themeKey = 'astreon.theme';
+        this.themes = Object.assign({}, THEMES);
+        this.themeId = 'green';
+        this.requestedThemeId = null;
+        this.themePersistent = true;
+        this.themeTransitionTimer = null;
+        this.themeDuration = 0.8;
+        
+        // Localization (UI strings, content text, text direction and key hints)
+        this.languageKey = 'astreon.language';
+        this.locales = Object.assign({}, LOCALES);
+        this.language = 'en';
+        this.requestedLanguage = null;
+        this.languagePersistent = true;
+        this.localizedNodes = [];
+        // Shortcut letters; byCode also accepts the physical key, for layouts without the letter
+        this.shortcuts = {
+            back: { letter: 'e', code: 'KeyE', label: 'E', byCode: true },
+            mute: { letter: 'm', code: 'KeyM', label: 'M', byCode: true }
+        };
+        
+        // Reduced motion: 'auto' follows the OS setting, 'reduce'/'full' are manual overrides
+        this.motionKey = 'astreon.motionPreference';
+        this.motionPreference = 'auto';
+        this.reducedMotion = false;
+        this.reducedMotionQuery = null;
+        this.reducedRotationScale = 0.15;
+        this.crossFadeDuration = 0.35;
+        
+        // Responsive layout: phones in portrait get their own camera framings
+        this.layoutMode = 'landscape';
+        this.isTouch = Boolean(window.matchMedia && window.matchMedia('(pointer: coarse)').matches);
+        this.resizeTimer = null;
+        this.swipe = null;
+        this.swipeDismissDistance = 90;
+        
+        // Explore mode: free orbit around the globe, entered from the menu
+        this.exploreLimits = { minDistance: 75, maxDistance: 420 };
+        this.exploreIdleDelay = 6000;
+        this.exploreIdleTimer = null;
+
+        // Real-time sun: the sun keeps a fixed world azimuth and the globe turns under it
+        this.useRealtimeSun = false;
+        this.realtimeSunKey = 'astreon.realtimeSun';
+        this.sunAzimuth = Math.atan2(-0.5, 1); // Same direction as the default light (1, 0, 0.5)
+        this.sunClock = { simulated: Date.now(), real: performance.now(), scale: 1 };
+        this.lastSunReadout = 0;
+        this.sceneState = new SceneStateMachine('intro', SCENE_TRANSITIONS);
+        this.sceneTimers = new Set();
         this.textSpawnInterval = null;
         this.escapeHandler = null;
+        this.selectedMenuIndex = 0;
         this.currentDialog = null;
         this.currentAnimation = null;
+        
+        // Camera shots (see CAMERA_SHOTS); the current one is re-applied on resize
+        this.shots = Object.assign({}, CAMERA_SHOTS);
+        this.currentShot = 'title';
+        this.shotResolve = null;
+        this.shotSequence = 0;
+        this.globeHeld = false;
+        this.crossFadeTween = null;
+        
+        // Terminal overlay (toggled with the backtick key)
+        this.terminalHistoryKey = 'astreon.terminalHistory';
+        this.terminalHistory = [];
+        this.terminalHistoryIndex = 0;
+        this.terminalQueue = [];
+        this.terminalTyping = null;
+        this.terminalTypeSpeed = 12;
+        this.terminalBooted = false;
+        this.terminalReturnFocus = null;
         this.backgroundMusic = null;
         this.clickSound = null;
         this.distortedVoices = [];
         this.lastVoiceTime = 0;
         this.voiceInterval = null;
         
+        // Audio mixer (levels are 0-1; music/effects/voice defaults match the old fixed volumes)
+        this.audioSettingsKey = 'astreon.audioSettings';
+        this.audioSettings = { master: 1, music: 0.3, effects: 0.6, voice: 0.4, muted: false };
+        this.audioContext = null;
+        this.audioChannels = null;
+        this.musicDuckLevel = 0.25;
+        this.isMusicDucked = false;
+        this.activeVoices = 0;
+        
+        // Content config (menu, dialogs and camera moves)
+        this.contentUrl = typeof this.options.content === 'string' ? this.options.content : null;
+        this.content = null;
+        this.sections = [];
+        // Resolves once content has actually loaded, so a retry after a failure still reaches its waiters
+        this.contentReady = new Promise((resolve) => {
+            this.resolveContentReady = resolve;
+        });
+        
+        // Announcements feed (configured under "announcements" in content.json)
+        this.announcementConfig = null;
+        this.announcements = new Map();
+        this.announcementPriorities = { low: 1, normal: 2, high: 3, urgent: 4 };
+        this.announcementPollInterval = null;
+        this.announcementStream = null;
+        this.announcementBannerTimer = null;
+        this.lastAnnouncementSpawn = 0;
+        this.dismissedAnnouncementsKey = 'astreon.dismissedAnnouncements';
+        
+        // Registration
+        this.registrationEndpoint = '/api/register';
+        this.registrationDraftKey = 'astreon.registrationDraft';
+        this.registrationQueueKey = 'astreon.registrationQueue';
+        this.minTeamSize = 2;
+        this.maxTeamSize = 4;
+        this.memberCounter = 0;
+        this.draftSaveTimeout = null;
+        this.registrationRetryInterval = null;
+        this.isSubmittingRegistration = false;
+        this.isFlushingRegistrations = false;
+        
+        // Analytics (every sink stays off until the visitor opts in)
+        this.analytics = new AnalyticsBus();
+        this.analyticsConsentKey = 'astreon.analyticsConsent';
+        this.analyticsBufferKey = 'astreon.analyticsBuffer';
+        this.analyticsBufferSize = 200;
+        this.analyticsQueueLimit = 500;
+        this.analyticsFlushInterval = null;
+        this.dialogOpenedAt = 0;
+        
+        // Social links, sharing and the event QR code
+        this.socialConfig = {};
+        this.socialMediaTimeout = null;
+        this.socialStatusTimeout = null;
+        this.qrCode = null;
+        this.qrReturnFocus = null;
+        
+        // Contact form
+        this.contactEndpoint = '/api/contact';
+        this.contactEmail = '';
+        this.contactQueueKey = 'astreon.contactQueue';
+        this.contactSendsKey = 'astreon.contactSends';
+        this.contactRateLimit = 3; // messages per window
+        this.contactRateWindow = 10 * 60 * 1000;
+        this.contactMinFillTime = 3000; // faster than this is a bot
+        this.contactMinLength = 20;
+        this.contactFormOpenedAt = 0;
+        this.contactRetryInterval = null;
+        this.isSubmittingContact = false;
+        this.isFlushingContact = false;
+        
+        // Problem statements browser
+        this.problems = [];
+        this.problemFilter = { track: '', query: '' };
+        this.currentProblem = null;
+        
+        // Render scheduling
+        this.animationFrame = null;
+        this.isPaused = false;
+        this.maxFps = 60;
+        this.lastFrameTime = 0;
+        this.lastRenderTime = 0;
+        this.averageFrameTime = 1000 / 60;
+        this.averageWorkTime = 0;
+        this.slowFrameTime = 0;
+        this.fastFrameTime = 0;
+        this.debugMode = false;
+        this.debugOverlayUpdated = 0;
+        this.qualityLevel = 0;
+        this.qualityDowngrades = [];
+        this.qualityLevels = [
+            { name: 'high', maxPixelRatio: 2, earthSegments: [128, 64], cloudSegments: [64, 32] },
+            { name: 'medium', maxPixelRatio: 1.5, earthSegments: [96, 48], cloudSegments: [48, 24] },
+            { name: 'low', maxPixelRatio: 1, earthSegments: [64, 32], cloudSegments: [32, 16] },
+            { name: 'minimal', maxPixelRatio: 0.75, earthSegments: [48, 24], cloudSegments: [24, 12] }
+        ];
+        
         // Loading management
         this.loadingManager = null;
         this.textureLoader = null;
         this.loadedTextures = 0;
         this.totalTextures = 5;
+        this.textureTimeout = 20000;
+        
+        // Texture tiers, lowest first; files are named "<tier>_<file>.<extension>"
+        this.textureTiers = ['2k', '4k', '8k'];
+        this.textureTier = null;
+        this.textures = {};
+        this.loadedTextureTiers = {};
+        this.textureSlots = {
+            day: { label: 'Day map', file: 'earth_daymap', extensions: ['jpg'], placeholder: [128, 128, 128] },
+            night: { label: 'Night lights', file: 'earth_nightmap', extensions: ['jpg'], placeholder: [0, 0, 0] },
+            normal: { label: 'Normal map', file: 'earth_normal_map', extensions: ['jpg', 'png', 'tif'], placeholder: [128, 128, 255], optional: true },
+            specular: { label: 'Specular map', file: 'earth_specular_map', extensions: ['jpg', 'png', 'tif'], placeholder: [0, 0, 0], optional: true },
+            clouds: { label: 'Clouds', file: 'earth_clouds', extensions: ['jpg', 'png'], placeholder: [0, 0, 0] }
+        };
         
         this.init();
     }
     
     init() {
+        this.setupRenderScheduler();
+        this.setupLocalization();
         this.setupLoadingManager();
-        this.setupAudio();
+        this.setupSettingsPanel();
+        this.setupThemes();
+        this.setupReducedMotion();
+        if (this.options.audio) {
+            this.setupAudio();
+        } else {
+            this.disableAudio();
+        }
         this.createScene();
         this.createCamera();
         this.createRenderer();
@@ -50,820 +1456,5905 @@ class EarthVisualization {
         this.createStarfield();
         this.loadTextures();
         this.setupEventListeners();
+        this.loadContent();
+        this.setupRouter();
         this.animate();
+        
+        if (!this.options.startScreen) {
+            this.skipStartScreen();
+        }
     }
     
-    setupLoadingManager() {
-        this.loadingManager = new THREE.LoadingManager();
-        this.textureLoader = new THREE.TextureLoader(this.loadingManager);
-        
-        this.loadingManager.onProgress = (url, itemsLoaded, itemsTotal) => {
-            const progress = (itemsLoaded / itemsTotal) * 100;
-            const progressBar = document.querySelector('.loading-progress');
-            if (progressBar) {
-                progressBar.style.width = progress + '%';
-            }
-        };
-        
-        this.loadingManager.onLoad = () => {
-            setTimeout(() => {
-                const loading = document.getElementById('loading');
-                if (loading) {
-                    loading.classList.add('hidden');
-                }
-            }, 500);
-        };
+    start() {
+        // Same as pressing Enter on the title screen
+        this.startGame();
     }
     
-    setupAudio() {
-        // Setup background music
-        this.backgroundMusic = document.getElementById('backgroundMusic');
-        if (this.backgroundMusic) {
-            // Set volume to a comfortable level
-            this.backgroundMusic.volume = 0.3;
-            
-            // Try to play immediately
-            const playPromise = this.backgroundMusic.play();
-            
-            if (playPromise !== undefined) {
-                playPromise.then(() => {
-                    console.log('Background music started successfully');
-                }).catch((error) => {
-                    console.log('Autoplay prevented, will start on user interaction:', error);
-                    // Add event listener for first user interaction
-                    this.addAudioStartListener();
-                });
+    openSection(sectionId) {
+        // Goes through the router like the menu does, so Back and deep links keep working.
+        // From the title screen or mid-flight, applyRoute() fast-forwards and opens it once the menu is up.
+        return this.contentReady.then(() => {
+            const section = this.sections.find(candidate => candidate.id === sectionId);
+            if (!section) {
+                console.warn('Unknown section:', sectionId);
+                return false;
             }
+            
+            this.navigateToRoute(this.getRouteForSection(section));
+            return true;
+        });
+    }
+    
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        
+        // Hand over queued analytics before the sinks go quiet
+        this.analytics.flush(true);
+        
+        // Listeners all went through listen(), so one abort removes every one of them
+        this.listenerController.abort();
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
         }
         
-        // Setup click sound
-        this.clickSound = document.getElementById('clickSound');
-        if (this.clickSound) {
-            this.clickSound.volume = 0.6; // Slightly louder for clear feedback
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        [
+            this.voiceInterval, this.textSpawnInterval, this.announcementPollInterval, this.analyticsFlushInterval,
+            this.terminalTyping, this.registrationRetryInterval, this.contactRetryInterval
+        ].forEach(interval => clearInterval(interval));
+        [
+            this.themeTransitionTimer, this.exploreIdleTimer, this.announcementBannerTimer, this.socialMediaTimeout,
+            this.socialStatusTimeout, this.draftSaveTimeout, this.resizeTimer
+        ].forEach(timer => clearTimeout(timer));
+        this.sceneTimers.forEach(timer => clearTimeout(timer));
+        this.sceneTimers.clear();
+        
+        this.killTweens();
+        
+        if (this.announcementStream) {
+            this.announcementStream.close();
+            this.announcementStream = null;
+        }
+        [this.backgroundMusic, this.clickSound].concat(this.distortedVoices).forEach(audio => {
+            if (audio) audio.pause();
+        });
+        if (this.audioContext) {
+            this.audioContext.close().catch(() => {});
+            this.audioContext = null;
+            this.audioChannels = null;
         }
         
-        // Setup distorted voices
-        const voice1 = document.getElementById('distortedVoice1');
-        const voice2 = document.getElementById('distortedVoice2');
-        if (voice1 && voice2) {
-            voice1.volume = 0.4; // Atmospheric volume
-            voice2.volume = 0.4;
-            this.distortedVoices = [voice1, voice2];
-            this.startRandomVoiceSystem();
+        this.disposeScene();
+        
+        // Leave the root as the host page handed it over
+        this.root.classList.remove('earth-embedded', 'layout-portrait', 'theme-transition', 'reduced-motion');
+        this.root.removeAttribute('data-theme');
+        Array.from(this.root.style)
+            .filter(property => /^--(theme|font)-/.test(property))
+            .forEach(property => this.root.style.removeProperty(property));
+        this.sceneState.listeners = {};
+        console.log('Earth visualization destroyed');
+    }
+    
+    killTweens() {
+        // Camera flights, the reduced-motion fade and theme color blends
+        if (this.cameraFlight) {
+            this.cameraFlight.kill();
+            this.cameraFlight = null;
+        }
+        if (this.crossFadeTween) {
+            this.crossFadeTween.kill();
+            this.crossFadeTween = null;
         }
+        
+        const targets = [this.camera.position, this.controls.target, this.getElement('sceneFade')];
+        this.scene.traverse((object) => {
+            [].concat(object.material || []).forEach((material) => {
+                targets.push(material.color);
+                Object.values(material.uniforms || {}).forEach((uniform) => {
+                    targets.push(uniform, uniform.value);
+                });
+            });
+        });
+        gsap.killTweensOf(targets.filter(target => target && typeof target === 'object'));
     }
     
-    addAudioStartListener() {
-        const startAudio = () => {
-            if (this.backgroundMusic && this.backgroundMusic.paused) {
-                this.backgroundMusic.play().catch(console.error);
+    disposeScene() {
+        // GPU memory isn't garbage collected: geometries, materials and textures must be released
+        const textures = new Set(Object.values(this.textures));
+        this.scene.traverse((object) => {
+            if (object.geometry) {
+                object.geometry.dispose();
             }
-            // Remove listeners after first interaction
-            document.removeEventListener('click', startAudio);
-            document.removeEventListener('keydown', startAudio);
-            document.removeEventListener('touchstart', startAudio);
-        };
+            [].concat(object.material || []).forEach((material) => {
+                Object.values(material).forEach((value) => {
+                    if (value && value.isTexture) textures.add(value);
+                });
+                Object.values(material.uniforms || {}).forEach((uniform) => {
+                    if (uniform.value && uniform.value.isTexture) textures.add(uniform.value);
+                });
+                material.dispose();
+            });
+        });
+        textures.forEach(texture => texture.dispose());
+        this.scene.clear();
         
-        document.addEventListener('click', startAudio);
-        document.addEventListener('keydown', startAudio);
-        document.addEventListener('touchstart', startAudio);
+        this.controls.dispose();
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        this.renderer.domElement.remove();
     }
     
-    playClickSound() {
-        if (this.clickSound) {
-            // Reset the audio to beginning and play
-            this.clickSound.currentTime = 0;
-            this.clickSound.play().catch(console.error);
-        }
+    listen(target, type, handler, options = {}) {
+        // Every DOM listener is tied to one signal so destroy() can drop them all at once
+        target.addEventListener(type, handler, Object.assign({ signal: this.listenerController.signal }, options));
     }
     
-    startRandomVoiceSystem() {
-        console.log('Starting random voice system...');
+    getElement(id) {
+        // Only elements inside the container count, so an embedding page can reuse the ids
+        const element = document.getElementById(id);
+        return element && this.root.contains(element) ? element : null;
+    }
+    
+    getViewportSize() {
+        // The whole window on the full-page site, the container's box when embedded
+        if (this.root === document.body) {
+            return { width: window.innerWidth, height: window.innerHeight };
+        }
+        return { width: this.root.clientWidth || 1, height: this.root.clientHeight || 1 };
+    }
+    
+    getScreenPosition(object) {
+        // Where a point in the scene lands on the page, in CSS pixels
+        const position = object.getWorldPosition(new THREE.Vector3()).project(this.camera);
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        return {
+            x: rect.left + (position.x + 1) / 2 * rect.width,
+            y: rect.top + (1 - position.y) / 2 * rect.height
+        };
+    }
+    
+    setPointerFromEvent(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    }
+    
+    skipStartScreen() {
+        // startScreen: false - straight to the menu, or to whatever the URL asks for
+        ['titleContainer', 'startText'].forEach(id => {
+            const element = this.getElement(id);
+            if (element) {
+                element.classList.add('hidden');
+            }
+        });
+        this.contentReady.then(() => {
+            if (this.sceneState.is('intro')) {
+                this.startGame(true);
+            }
+        });
+    }
+    
+    disableAudio() {
+        // audio: false - keep the page's <audio> elements silent and set nothing else up
+        this.root.querySelectorAll('audio').forEach(audio => {
+            audio.removeAttribute('autoplay');
+            audio.pause();
+        });
+        
+        const audioSettings = this.getElement('audioSettings');
+        if (audioSettings) {
+            audioSettings.hidden = true;
+        }
+    }
+    
+    applyAudioAssets() {
+        // options.assets can point the page's <audio> elements at other files
+        const sources = [['backgroundMusic', this.assetPaths.music], ['clickSound', this.assetPaths.click]];
+        (this.assetPaths.voices || []).forEach((url, index) => {
+            sources.push([`distortedVoice${index + 1}`, url]);
+        });
+        
+        sources.forEach(([id, url]) => {
+            const element = this.getElement(id);
+            if (element && url) {
+                element.src = url;
+            }
+        });
+    }
+    
+    setupLoadingManager() {
+        this.loadingManager = new THREE.LoadingManager();
+        this.textureLoader = new THREE.TextureLoader(this.loadingManager);
+        
+        // Progress and completion are tracked per texture slot in loadTextures(),
+        // since one slot may try several files before it settles
+        this.loadingManager.onError = (url) => {
+            console.warn('Failed to load asset:', url);
+        };
+    }
+    
+    updateLoadingProgress() {
+        const progress = (this.loadedTextures / this.totalTextures) * 100;
+        const progressBar = this.root.querySelector('.loading-progress');
+        if (progressBar) {
+            progressBar.style.width = progress + '%';
+            progressBar.parentNode.setAttribute('aria-valuenow', Math.round(progress));
+        }
+    }
+    
+    finishLoading(failures) {
+        const loading = this.getElement('loading');
+        if (!loading) return;
+        
+        if (failures.length > 0) {
+            // Say what's missing instead of leaving a silent black sphere
+            const loadingText = loading.querySelector('.loading-text');
+            const errorList = loading.querySelector('.loading-errors');
+            if (loadingText) {
+                loadingText.setAttribute('data-i18n', 'loadingIncomplete');
+                this.translateElements(loading);
+            }
+            if (errorList) {
+                errorList.innerHTML = '';
+                failures.forEach(slot => {
+                    this.analytics.track('load_error', { resource: slot.file, optional: Boolean(slot.optional) });
+                    const item = document.createElement('li');
+                    item.textContent = this.t(slot.optional ? 'loadingSkipped' : 'loadingFallback', { name: slot.label });
+                    errorList.appendChild(item);
+                });
+            }
+        }
+        
+        this.scheduleScene(() => {
+            loading.classList.add('hidden');
+        }, failures.length > 0 ? 2500 : 500);
+    }
+    
+    setupAudio() {
+        this.applyAudioAssets();
+        this.loadAudioSettings();
+        
+        // Setup background music
+        this.backgroundMusic = this.getElement('backgroundMusic');
+        if (this.backgroundMusic) {
+            // Try to play immediately
+            const playPromise = this.backgroundMusic.play();
+            
+            if (playPromise !== undefined) {
+                playPromise.then(() => {
+                    console.log('Background music started successfully');
+                }).catch((error) => {
+                    console.log('Autoplay prevented, will start on user interaction:', error);
+                    this.analytics.track('audio_autoplay_blocked');
+                    // Add event listener for first user interaction
+                    this.addAudioStartListener();
+                });
+            }
+        }
+        
+        // Setup click sound
+        this.clickSound = this.getElement('clickSound');
+        
+        // Setup distorted voices
+        const voice1 = this.getElement('distortedVoice1');
+        const voice2 = this.getElement('distortedVoice2');
+        if (voice1 && voice2) {
+            this.distortedVoices = [voice1, voice2];
+            this.startRandomVoiceSystem();
+        }
+        
+        // Element volumes until the Web Audio mixer can start
+        this.applyAudioSettings();
+        this.addAudioMixerListener();
+        this.setupAudioPanel();
+    }
+    
+    loadAudioSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.audioSettingsKey));
+            if (saved) {
+                Object.keys(this.audioSettings).forEach(key => {
+                    if (typeof saved[key] === typeof this.audioSettings[key]) {
+                        this.audioSettings[key] = saved[key];
+                    }
+                });
+            }
+        } catch (error) {
+            console.log('Could not read audio settings:', error);
+        }
+    }
+    
+    saveAudioSettings() {
+        try {
+            localStorage.setItem(this.audioSettingsKey, JSON.stringify(this.audioSettings));
+        } catch (error) {
+            console.log('Could not save audio settings:', error);
+        }
+    }
+    
+    addAudioMixerListener() {
+        // AudioContexts may only start after a user gesture
+        const startMixer = () => {
+            this.setupAudioMixer();
+            document.removeEventListener('pointerdown', startMixer);
+            document.removeEventListener('keydown', startMixer);
+            document.removeEventListener('touchstart', startMixer);
+        };
+        
+        this.listen(document, 'pointerdown', startMixer);
+        this.listen(document, 'keydown', startMixer);
+        this.listen(document, 'touchstart', startMixer);
+    }
+    
+    setupAudioMixer() {
+        if (this.audioContext) return;
+        
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return; // Element volumes keep working without it
+        
+        try {
+            const context = new AudioContextClass();
+            
+            // element -> channel -> (duck, music only) -> master -> speakers
+            const channels = {
+                master: context.createGain(),
+                music: context.createGain(),
+                duck: context.createGain(),
+                effects: context.createGain(),
+                voice: context.createGain()
+            };
+            channels.master.connect(context.destination);
+            channels.music.connect(channels.duck);
+            channels.duck.connect(channels.master);
+            channels.effects.connect(channels.master);
+            channels.voice.connect(channels.master);
+            
+            const route = (element, channel) => {
+                context.createMediaElementSource(element).connect(channel);
+                // Levels are now set by the gain nodes
+                element.volume = 1;
+            };
+            if (this.backgroundMusic) {
+                route(this.backgroundMusic, channels.music);
+            }
+            if (this.clickSound) {
+                route(this.clickSound, channels.effects);
+            }
+            this.distortedVoices.forEach(voice => route(voice, channels.voice));
+            
+            this.audioContext = context;
+            this.audioChannels = channels;
+            channels.duck.gain.value = this.isMusicDucked ? this.musicDuckLevel : 1;
+            this.applyAudioSettings();
+            console.log('Web Audio mixer started');
+        } catch (error) {
+            console.log('Web Audio mixer unavailable, using element volumes:', error);
+            this.audioContext = null;
+            this.audioChannels = null;
+        }
+    }
+    
+    applyAudioSettings() {
+        const settings = this.audioSettings;
+        const master = settings.muted ? 0 : settings.master;
+        
+        if (this.audioChannels) {
+            const now = this.audioContext.currentTime;
+            // Short ramps avoid clicks when sliders move
+            this.audioChannels.master.gain.setTargetAtTime(master, now, 0.05);
+            this.audioChannels.music.gain.setTargetAtTime(settings.music, now, 0.05);
+            this.audioChannels.effects.gain.setTargetAtTime(settings.effects, now, 0.05);
+            this.audioChannels.voice.gain.setTargetAtTime(settings.voice, now, 0.05);
+        } else {
+            const duck = this.isMusicDucked ? this.musicDuckLevel : 1;
+            if (this.backgroundMusic) {
+                this.backgroundMusic.volume = master * settings.music * duck;
+            }
+            if (this.clickSound) {
+                this.clickSound.volume = master * settings.effects;
+            }
+            this.distortedVoices.forEach(voice => {
+                voice.volume = master * settings.voice;
+            });
+        }
+        
+        this.updateAudioPanel();
+    }
+    
+    setAudioLevel(channel, value) {
+        if (!(channel in this.audioSettings) || channel === 'muted') return;
+        
+        this.audioSettings[channel] = Math.min(1, Math.max(0, value));
+        this.applyAudioSettings();
+        this.saveAudioSettings();
+    }
+    
+    toggleMute(muted = !this.audioSettings.muted) {
+        this.audioSettings.muted = muted;
+        this.applyAudioSettings();
+        this.saveAudioSettings();
+        console.log(muted ? 'Audio muted' : 'Audio unmuted');
+        this.analytics.track('audio_mute', { muted: muted });
+    }
+    
+    duckMusic(ducked) {
+        this.isMusicDucked = ducked;
+        
+        if (this.audioChannels) {
+            // Duck quickly, recover slowly
+            const now = this.audioContext.currentTime;
+            this.audioChannels.duck.gain.setTargetAtTime(ducked ? this.musicDuckLevel : 1, now, ducked ? 0.15 : 0.6);
+        } else {
+            this.applyAudioSettings();
+        }
+    }
+    
+    setupSettingsPanel() {
+        const toggle = this.getElement('settingsToggle');
+        const panel = this.getElement('settingsPanel');
+        if (!toggle || !panel) return;
+        
+        this.listen(toggle, 'click', () => {
+            this.playClickSound();
+            this.toggleSettingsPanel();
+        });
+        
+        // Escape closes the panel without also closing an open dialog
+        this.listen(panel, 'keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.stopPropagation();
+                this.toggleSettingsPanel(false);
+                toggle.focus();
+            }
+        });
+        
+        // Clicking anywhere else closes it too
+        this.listen(document, 'pointerdown', (event) => {
+            if (!panel.contains(event.target) && !toggle.contains(event.target)) {
+                this.toggleSettingsPanel(false);
+            }
+        });
+    }
+    
+    setupLocalization() {
+        // ?lang=<id> is for showcase screens and is not remembered
+        const params = new URLSearchParams(window.location.search);
+        const forcedLanguage = params.get('lang');
+        let storedLanguage = null;
+        try {
+            storedLanguage = localStorage.getItem(this.languageKey);
+        } catch (error) {
+            storedLanguage = null;
+        }
+        
+        this.requestedLanguage = forcedLanguage || storedLanguage;
+        this.languagePersistent = !forcedLanguage;
+        
+        // Content languages arrive later; until then use the closest built-in one
+        this.setLanguage(this.locales[this.requestedLanguage] ? this.requestedLanguage : this.detectLanguage(), { persist: false });
+        this.buildLanguageOptions();
+        this.setupKeyboardHints();
+    }
+    
+    detectLanguage() {
+        // First browser preference we have, by full tag ("pt-BR") and then base language ("pt")
+        const preferences = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language || 'en'];
+        for (const preference of preferences) {
+            const tag = preference.toLowerCase();
+            const match = Object.keys(this.locales).find(id => id.toLowerCase() === tag) ||
+                Object.keys(this.locales).find(id => id.toLowerCase() === tag.split('-')[0]);
+            if (match) return match;
+        }
+        return 'en';
+    }
+    
+    registerLocales(localeData) {
+        localeData.forEach(data => {
+            if (!data || typeof data.id !== 'string' || !/^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(data.id)) {
+                console.warn('Skipping locale with invalid id:', data && data.id);
+                return;
+            }
+            
+            // Languages we already ship can be patched string by string
+            const base = this.locales[data.id] || { label: data.id, dir: 'ltr', strings: {}, techWords: null };
+            this.locales[data.id] = {
+                label: data.label || base.label,
+                dir: data.dir || base.dir,
+                strings: Object.assign({}, base.strings, data.strings),
+                techWords: data.techWords || base.techWords
+            };
+        });
+        
+        this.buildLanguageOptions();
+        
+        if (this.requestedLanguage && this.requestedLanguage !== this.language && this.locales[this.requestedLanguage]) {
+            this.setLanguage(this.requestedLanguage, { persist: false });
+        } else if (!this.requestedLanguage) {
+            const detected = this.detectLanguage();
+            if (detected !== this.language) {
+                this.setLanguage(detected, { persist: false });
+            }
+        }
+    }
+    
+    getLocale() {
+        return this.locales[this.language] || this.locales.en;
+    }
+    
+    t(key, values = {}) {
+        const strings = this.getLocale().strings;
+        const text = key in strings ? strings[key] : (key in LOCALES.en.strings ? LOCALES.en.strings[key] : key);
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+    }
+    
+    localize(value) {
+        // Content text is either a plain string or { "en": "...", "es": "..." }
+        if (!value || typeof value !== 'object') return value || '';
+        return value[this.language] || value[this.language.split('-')[0]] || value.en || Object.values(value)[0] || '';
+    }
+    
+    setLocalizedText(node, value) {
+        node.textContent = this.localize(value);
+        // Only translated content needs refreshing when the language changes
+        if (value && typeof value === 'object') {
+            this.localizedNodes.push({ node, value });
+        }
+    }
+    
+    translateElements(root = this.root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const tag = element.getAttribute('data-i18n-tag') || 'strong';
+            element.textContent = '';
+            
+            // Odd parts are placeholder names, shown as key hints for the current keyboard
+            this.t(element.getAttribute('data-i18n')).split(/\{(\w+)\}/).forEach((part, index) => {
+                if (index % 2 === 0) {
+                    if (part) {
+                        element.appendChild(document.createTextNode(part));
+                    }
+                    return;
+                }
+                const hint = document.createElement(tag);
+                hint.textContent = this.getKeyLabel(part);
+                element.appendChild(hint);
+            });
+        });
+        
+        root.querySelectorAll('[data-i18n-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.getAttribute('data-i18n-label')));
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.setAttribute('placeholder', this.t(element.getAttribute('data-i18n-placeholder')));
+        });
+    }
+    
+    setLanguage(id, options = {}) {
+        if (!this.locales[id]) {
+            console.warn('Unknown language:', id);
+            return false;
+        }
+        
+        const previousDir = this.getLocale().dir;
+        this.language = id;
+        
+        if (options.persist !== false && this.languagePersistent) {
+            try {
+                localStorage.setItem(this.languageKey, id);
+            } catch (error) {
+                console.log('Could not save language:', error);
+            }
+        }
+        
+        // Embedded, only the globe's own markup switches language and direction; the host page keeps its own
+        const locale = this.getLocale();
+        const languageRoot = this.root === document.body ? document.documentElement : this.root;
+        languageRoot.lang = id;
+        languageRoot.dir = locale.dir;
+        this.translateElements();
+        
+        this.localizedNodes = this.localizedNodes.filter(entry => entry.node.isConnected);
+        this.localizedNodes.forEach(entry => {
+            entry.node.textContent = this.localize(entry.value);
+        });
+        
+        this.renderProblemList();
+        this.updateLanguageOptions();
+        
+        // Right-to-left mirrors the layout, so the globe swaps sides too
+        if (locale.dir !== previousDir && this.earth && this.sceneState.is('intro', 'menu', 'dialog')) {
+            this.playShot(this.currentShot);
+        }
+        return true;
+    }
+    
+    buildLanguageOptions() {
+        const container = this.getElement('languageOptions');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        Object.keys(this.locales).forEach(id => {
+            const button = document.createElement('button');
+            button.className = 'language-option';
+            button.setAttribute('data-language', id);
+            button.lang = id;
+            button.textContent = this.locales[id].label;
+            this.listen(button, 'click', () => {
+                this.playClickSound();
+                this.setLanguage(id);
+            });
+            container.appendChild(button);
+        });
+        this.updateLanguageOptions();
+    }
+    
+    updateLanguageOptions() {
+        this.root.querySelectorAll('[data-language]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.getAttribute('data-language') === this.language));
+        });
+    }
+    
+    setupKeyboardHints() {
+        // Letter shortcuts work by letter where the layout has it, and by physical key where it
+        // doesn't (Arabic, Cyrillic...). The layout map tells us which, and what the key shows.
+        if (!navigator.keyboard || !navigator.keyboard.getLayoutMap) return;
+        
+        navigator.keyboard.getLayoutMap().then((layout) => {
+            const characters = Array.from(layout.values());
+            Object.keys(this.shortcuts).forEach(name => {
+                const shortcut = this.shortcuts[name];
+                const hasLetter = characters.includes(shortcut.letter);
+                shortcut.byCode = !hasLetter;
+                shortcut.label = hasLetter ? shortcut.letter.toUpperCase() : (layout.get(shortcut.code) || shortcut.letter).toUpperCase();
+            });
+            this.translateElements();
+        }).catch((error) => {
+            console.log('Keyboard layout unavailable, keeping default key hints:', error);
+        });
+    }
+    
+    getKeyLabel(name) {
+        if (this.shortcuts[name]) return this.shortcuts[name].label;
+        if (name === 'esc') return this.t('keyEsc');
+        if (name === 'close') return '×';
+        return name;
+    }
+    
+    isShortcut(event, name) {
+        const shortcut = this.shortcuts[name];
+        if (event.ctrlKey || event.metaKey || event.altKey) return false;
+        return event.key.toLowerCase() === shortcut.letter || (shortcut.byCode && event.code === shortcut.code);
+    }
+    
+    setupThemes() {
+        // ?theme=<id> is for showcase screens and is not remembered
+        const params = new URLSearchParams(window.location.search);
+        const forcedTheme = params.get('theme');
+        let storedTheme = null;
+        try {
+            storedTheme = localStorage.getItem(this.themeKey);
+        } catch (error) {
+            storedTheme = null;
+        }
+        
+        this.requestedThemeId = forcedTheme || storedTheme;
+        this.themePersistent = !forcedTheme;
+        
+        // Content themes arrive later; until then fall back to the default
+        const initialTheme = this.themes[this.requestedThemeId] ? this.requestedThemeId : this.themeId;
+        this.setTheme(initialTheme, { instant: true, persist: false });
+        this.buildThemeOptions();
+        
+        try {
+            this.showAtmosphere = localStorage.getItem(this.atmosphereKey) !== 'false';
+        } catch (error) {
+            this.showAtmosphere = true;
+        }
+        
+        const atmosphereToggle = this.getElement('atmosphereToggle');
+        if (atmosphereToggle) {
+            this.listen(atmosphereToggle, 'click', () => {
+                this.playClickSound();
+                this.setShowAtmosphere(!this.showAtmosphere);
+            });
+        }
+        this.updateThemeOptions();
+    }
+    
+    registerThemes(themeData) {
+        themeData.forEach(data => {
+            if (!data || typeof data.id !== 'string' || !/^[a-z][a-z0-9-]*$/i.test(data.id)) {
+                console.warn('Skipping theme with invalid id:', data && data.id);
+                return;
+            }
+            
+            const base = this.themes[data.extends] || this.themes.green;
+            this.themes[data.id] = {
+                label: data.label || data.id,
+                // Hidden themes (e.g. a sponsor's showcase look) are only reachable via ?theme=
+                hidden: Boolean(data.hidden),
+                earth: Object.assign({}, base.earth, data.earth),
+                atmosphere: Object.assign({}, base.atmosphere, data.atmosphere),
+                cloudTint: data.cloudTint || base.cloudTint,
+                ui: Object.assign({}, base.ui, data.ui),
+                fonts: Object.assign({}, base.fonts, data.fonts)
+            };
+        });
+        
+        this.buildThemeOptions();
+        
+        if (this.requestedThemeId && this.requestedThemeId !== this.themeId && this.themes[this.requestedThemeId]) {
+            this.setTheme(this.requestedThemeId, { instant: true, persist: false });
+        }
+    }
+    
+    getTheme() {
+        return this.themes[this.themeId] || this.themes.green;
+    }
+    
+    toColor(value) {
+        // Theme colors may be [r, g, b] (0-1) or any CSS color string
+        return Array.isArray(value) ? new THREE.Color().fromArray(value) : new THREE.Color(value);
+    }
+    
+    setTheme(themeId, options = {}) {
+        const theme = this.themes[themeId];
+        if (!theme) {
+            console.warn('Unknown theme:', themeId);
+            return false;
+        }
+        
+        this.themeId = themeId;
+        const duration = options.instant ? 0 : this.themeDuration;
+        
+        if (options.persist !== false && this.themePersistent) {
+            try {
+                localStorage.setItem(this.themeKey, themeId);
+            } catch (error) {
+                console.log('Could not save theme:', error);
+            }
+        }
+        if (options.persist !== false) {
+            // A manual pick wins over whatever was requested at load time
+            this.requestedThemeId = themeId;
+        }
+        
+        this.applyThemeStyles(theme, duration);
+        this.applyThemeToScene(theme, duration);
+        this.updateThemeOptions();
+        
+        console.log(`Theme: ${themeId}`);
+        return true;
+    }
+    
+    applyThemeStyles(theme, duration) {
+        // On the root, not <html>, so an embedded globe never restyles the host page
+        const root = this.root;
+        const rgb = (hex) => {
+            const color = new THREE.Color(hex);
+            return [color.r, color.g, color.b].map(channel => Math.round(channel * 255)).join(', ');
+        };
+        
+        if (duration > 0) {
+            root.classList.add('theme-transition');
+            clearTimeout(this.themeTransitionTimer);
+            this.themeTransitionTimer = setTimeout(() => {
+                root.classList.remove('theme-transition');
+            }, duration * 1000);
+        }
+        
+        root.style.setProperty('--theme-accent', theme.ui.accent);
+        root.style.setProperty('--theme-accent-rgb', rgb(theme.ui.accent));
+        root.style.setProperty('--theme-accent-hover', theme.ui.accentHover);
+        root.style.setProperty('--theme-accent-dim', theme.ui.accentDim);
+        root.style.setProperty('--theme-panel-rgb', rgb(theme.ui.panel));
+        root.style.setProperty('--theme-panel-mid-rgb', rgb(theme.ui.panelMid));
+        root.style.setProperty('--theme-panel-light-rgb', rgb(theme.ui.panelLight));
+        root.style.setProperty('--theme-glow-rgb', rgb(theme.ui.glow));
+        root.style.setProperty('--theme-glow-deep-rgb', rgb(theme.ui.glowDeep));
+        root.style.setProperty('--font-display', theme.fonts.display);
+        root.style.setProperty('--font-interface', theme.fonts.interface);
+        root.style.setProperty('--font-ambient', theme.fonts.ambient);
+        root.setAttribute('data-theme', this.themeId);
+    }
+    
+    applyThemeToScene(theme, duration) {
+        const tweenColor = (target, value) => {
+            const color = this.toColor(value);
+            gsap.killTweensOf(target);
+            if (duration > 0) {
+                gsap.to(target, { r: color.r, g: color.g, b: color.b, duration: duration, ease: 'power2.inOut' });
+            } else {
+                target.copy(color);
+            }
+        };
+        
+        if (this.earth) {
+            const uniforms = this.earth.material.uniforms;
+            tweenColor(uniforms.dayTint.value, theme.earth.dayTint);
+            tweenColor(uniforms.nightTint.value, theme.earth.nightTint);
+            tweenColor(uniforms.specularTint.value, theme.earth.specularTint);
+            tweenColor(uniforms.atmosphereColor.value, theme.earth.atmosphereColor);
+            
+            gsap.killTweensOf(uniforms.trueColor);
+            gsap.to(uniforms.trueColor, { value: theme.earth.trueColor, duration: duration, ease: 'power2.inOut' });
+        }
+        
+        if (this.clouds) {
+            tweenColor(this.clouds.material.color, theme.cloudTint);
+        }
+        
+        if (this.atmosphere) {
+            const uniforms = this.atmosphere.material.uniforms;
+            tweenColor(uniforms.glowColor.value, theme.atmosphere.color);
+            
+            gsap.killTweensOf(uniforms.glowIntensity);
+            gsap.to(uniforms.glowIntensity, { value: theme.atmosphere.intensity, duration: duration, ease: 'power2.inOut' });
+        }
+        
+        this.markers.forEach(marker => {
+            if (marker.themed) {
+                tweenColor(marker.mesh.material.color, theme.ui.accent);
+            }
+        });
+        
+        // Badges are drawn in the theme's panel color and display font
+        this.sponsors.forEach(sponsor => this.drawSponsorBadge(sponsor));
+    }
+    
+    buildThemeOptions() {
+        const container = this.getElement('themeOptions');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        Object.keys(this.themes).forEach(themeId => {
+            if (this.themes[themeId].hidden) return;
+            
+            const button = document.createElement('button');
+            button.className = 'settings-button';
+            button.setAttribute('data-theme', themeId);
+            button.textContent = this.themes[themeId].label;
+            this.listen(button, 'click', () => {
+                this.playClickSound();
+                this.setTheme(themeId);
+            });
+            container.appendChild(button);
+        });
+        
+        this.updateThemeOptions();
+    }
+    
+    updateThemeOptions() {
+        this.root.querySelectorAll('#themeOptions [data-theme]').forEach(button => {
+            const active = button.getAttribute('data-theme') === this.themeId;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+        
+        const atmosphereToggle = this.getElement('atmosphereToggle');
+        if (atmosphereToggle) {
+            atmosphereToggle.setAttribute('aria-pressed', String(this.showAtmosphere));
+            atmosphereToggle.classList.toggle('active', this.showAtmosphere);
+        }
+    }
+    
+    setupReducedMotion() {
+        try {
+            this.motionPreference = localStorage.getItem(this.motionKey) || 'auto';
+        } catch (error) {
+            this.motionPreference = 'auto';
+        }
+        
+        if (window.matchMedia) {
+            this.reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            // Follow the OS setting live while on 'auto'
+            this.listen(this.reducedMotionQuery, 'change', () => this.updateReducedMotion());
+        }
+        
+        this.root.querySelectorAll('[data-motion]').forEach(button => {
+            this.listen(button, 'click', () => {
+                this.playClickSound();
+                this.setMotionPreference(button.getAttribute('data-motion'));
+            });
+        });
+        
+        this.updateReducedMotion();
+    }
+    
+    setMotionPreference(preference) {
+        this.motionPreference = preference;
+        try {
+            localStorage.setItem(this.motionKey, preference);
+        } catch (error) {
+            console.log('Could not save motion setting:', error);
+        }
+        this.updateReducedMotion();
+    }
+    
+    updateReducedMotion() {
+        const systemReduced = Boolean(this.reducedMotionQuery && this.reducedMotionQuery.matches);
+        const reduced = this.motionPreference === 'reduce' || (this.motionPreference === 'auto' && systemReduced);
+        const changed = reduced !== this.reducedMotion;
+        this.reducedMotion = reduced;
+        
+        this.root.classList.toggle('reduced-motion', reduced);
+        
+        this.root.querySelectorAll('[data-motion]').forEach(button => {
+            const active = button.getAttribute('data-motion') === this.motionPreference;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+        
+        if (!changed) return;
+        console.log(`Reduced motion: ${reduced ? 'on' : 'off'}`);
+        
+        // Flashing words stop immediately; they come back if the menu is up
+        const gameMenu = this.getElement('gameMenu');
+        if (reduced) {
+            clearInterval(this.textSpawnInterval);
+            this.textSpawnInterval = null;
+            this.root.querySelectorAll('.random-text').forEach(element => element.remove());
+        } else if (gameMenu && gameMenu.classList.contains('visible') && !this.isPaused) {
+            this.startRandomTextSpawning();
+        }
+        
+        // Announcements move between the ambient text and the static banner
+        this.updateAnnouncementBanner();
+    }
+    
+    crossFade(change) {
+        // Reduced motion: dip the scene to black, jump the camera, fade back in
+        const fade = this.getElement('sceneFade');
+        if (!fade) {
+            change();
+            return;
+        }
+        
+        gsap.killTweensOf(fade);
+        this.crossFadeTween = gsap.to(fade, {
+            duration: this.crossFadeDuration,
+            opacity: 1,
+            ease: "power1.in",
+            onComplete: () => {
+                this.crossFadeTween = null;
+                change();
+                gsap.to(fade, {
+                    duration: this.crossFadeDuration,
+                    opacity: 0,
+                    ease: "power1.out"
+                });
+            }
+        });
+    }
+    
+    moveCamera(move) {
+        // Camera moves are written with full-length tweens; reduced motion runs them instantly behind a cross-fade
+        if (this.reducedMotion) {
+            this.crossFade(() => move(0));
+        } else {
+            move(1);
+        }
+    }
+    
+    setupAudioPanel() {
+        const muteToggle = this.getElement('muteToggle');
+        
+        if (muteToggle) {
+            this.listen(muteToggle, 'click', () => {
+                this.toggleMute();
+            });
+        }
+        
+        this.root.querySelectorAll('[data-audio-channel]').forEach(slider => {
+            this.listen(slider, 'input', () => {
+                this.setAudioLevel(slider.getAttribute('data-audio-channel'), slider.value / 100);
+            });
+        });
+        
+        // M toggles mute from anywhere except text fields
+        this.listen(document, 'keydown', (event) => {
+            if (this.isTypingTarget(event.target)) return;
+            if (this.isShortcut(event, 'mute')) {
+                this.toggleMute();
+            }
+        });
+        
+        this.updateAudioPanel();
+    }
+    
+    toggleSettingsPanel(open) {
+        const toggle = this.getElement('settingsToggle');
+        const panel = this.getElement('settingsPanel');
+        if (!toggle || !panel) return;
+        
+        const shouldOpen = open === undefined ? panel.classList.contains('hidden') : open;
+        panel.classList.toggle('hidden', !shouldOpen);
+        toggle.setAttribute('aria-expanded', String(shouldOpen));
+    }
+    
+    updateAudioPanel() {
+        this.root.querySelectorAll('[data-audio-channel]').forEach(slider => {
+            const level = this.audioSettings[slider.getAttribute('data-audio-channel')];
+            slider.value = Math.round(level * 100);
+            
+            const output = slider.parentNode.querySelector('.settings-value');
+            if (output) {
+                output.textContent = Math.round(level * 100) + '%';
+            }
+        });
+        
+        const muteToggle = this.getElement('muteToggle');
+        if (muteToggle) {
+            muteToggle.setAttribute('aria-pressed', String(this.audioSettings.muted));
+            muteToggle.classList.toggle('active', this.audioSettings.muted);
+        }
+        
+        const toggle = this.getElement('settingsToggle');
+        if (toggle) {
+            toggle.classList.toggle('muted', this.audioSettings.muted);
+        }
+    }
+    
+    addAudioStartListener() {
+        const startAudio = () => {
+            if (this.backgroundMusic && this.backgroundMusic.paused) {
+                this.backgroundMusic.play().catch((error) => {
+                    console.error(error);
+                    this.analytics.track('audio_error', { source: 'music', message: error.message });
+                });
+            }
+            // Remove listeners after first interaction
+            document.removeEventListener('click', startAudio);
+            document.removeEventListener('keydown', startAudio);
+            document.removeEventListener('touchstart', startAudio);
+        };
+        
+        this.listen(document, 'click', startAudio);
+        this.listen(document, 'keydown', startAudio);
+        this.listen(document, 'touchstart', startAudio);
+    }
+    
+    playClickSound() {
+        if (this.clickSound) {
+            // Reset the audio to beginning and play
+            this.clickSound.currentTime = 0;
+            this.clickSound.play().catch(console.error);
+        }
+    }
+    
+    startRandomVoiceSystem() {
+        console.log('Starting random voice system...');
+        
+        // Normal atmospheric interval
+        this.voiceInterval = setInterval(() => {
+            this.maybePlayRandomVoice();
+        }, 25000); // Check every 25 seconds
+    }
+    
+    maybePlayRandomVoice() {
+        // No surprise audio for attendees who asked for a calmer experience
+        if (this.reducedMotion) return;
+        
+        const now = Date.now();
+        const timeSinceLastVoice = now - this.lastVoiceTime;
+        const randomChance = Math.random();
+        
+        // Atmospheric settings: 60 second minimum gap, 15% chance
+        if (timeSinceLastVoice > 60000 && randomChance < 0.15) {
+            console.log('Triggering atmospheric voice...');
+            this.playRandomVoice();
+        }
+    }
+    
+    playRandomVoice() {
+        console.log(`Attempting to play random voice. Available voices: ${this.distortedVoices.length}`);
+        
+        if (this.distortedVoices.length === 0) {
+            console.log('No distorted voices available!');
+            return;
+        }
+        
+        if (this.audioSettings.muted || this.audioSettings.master === 0 || this.audioSettings.voice === 0) {
+            console.log('Voices are muted, skipping');
+            return;
+        }
+        
+        // Pick a random voice from the array
+        const randomIndex = Math.floor(Math.random() * this.distortedVoices.length);
+        const selectedVoice = this.distortedVoices[randomIndex];
+        
+        console.log(`Selected voice ${randomIndex + 1}:`, selectedVoice);
+        
+        if (selectedVoice) {
+            // Reset to beginning and play
+            selectedVoice.currentTime = 0;
+            selectedVoice.play().then(() => {
+                console.log(`✓ Successfully playing distorted voice ${randomIndex + 1} for 5 seconds`);
+                this.lastVoiceTime = Date.now();
+                
+                // Keep the music under the voice while it plays
+                this.activeVoices++;
+                this.duckMusic(true);
+                
+                // Stop after 5 seconds
+                this.scheduleScene(() => {
+                    selectedVoice.pause();
+                    selectedVoice.currentTime = 0;
+                    console.log(`✓ Stopped distorted voice ${randomIndex + 1} after 5 seconds`);
+                    
+                    this.activeVoices = Math.max(0, this.activeVoices - 1);
+                    if (this.activeVoices === 0) {
+                        this.duckMusic(false);
+                    }
+                }, 5000);
+                
+            }).catch((error) => {
+                console.error(`✗ Error playing distorted voice ${randomIndex + 1}:`, error);
+                this.analytics.track('audio_error', { source: 'voice', message: error.message });
+            });
+        }
+    }
+    
+    createScene() {
+        this.scene = new THREE.Scene();
+        this.scene.fog = new THREE.Fog(0x000000, 250, 1400);
+    }
+    
+    createCamera() {
+        const { width, height } = this.getViewportSize();
+        this.camera = new THREE.PerspectiveCamera(
+            45,
+            width / height,
+            0.1,
+            2000
+        );
+        this.camera.position.set(0, 0, 1000);
+    }
+    
+    createRenderer() {
+        this.renderer = new THREE.WebGLRenderer({
+            antialias: true,
+            alpha: true
+        });
+        const { width, height } = this.getViewportSize();
+        this.renderer.setSize(width, height);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.qualityLevels[0].maxPixelRatio));
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        this.renderer.toneMappingExposure = 0.6;
+        this.renderer.outputEncoding = THREE.sRGBEncoding;
+        
+        if (this.root !== document.body) {
+            this.root.classList.add('earth-embedded');
+        }
+        (this.getElement('canvas-container') || this.root).appendChild(this.renderer.domElement);
+    }
+    
+    createControls() {
+        this.controls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.enableDamping = true;
+        this.controls.dampingFactor = 0.05;
+        this.controls.minDistance = 60;
+        this.controls.maxDistance = 1200;
+        this.controls.enablePan = false;
+        this.controls.autoRotate = false;
+        this.controls.autoRotateSpeed = 0.5;
+        
+        this.controls.touches = { ONE: THREE.TOUCH.ROTATE, TWO: THREE.TOUCH.DOLLY_PAN };
+        
+        // Disabled until Explore mode hands the globe to the visitor
+        this.controls.enabled = false;
+        this.controlsDefaults = {
+            minDistance: this.controls.minDistance,
+            maxDistance: this.controls.maxDistance
+        };
+        
+        // Idle auto-rotate: stop while the visitor drags, resume after a quiet spell
+        this.controls.addEventListener('start', () => {
+            clearTimeout(this.exploreIdleTimer);
+            this.controls.autoRotate = false;
+        });
+        this.controls.addEventListener('end', () => {
+            this.scheduleExploreIdle();
+        });
+    }
+    
+    scheduleExploreIdle() {
+        clearTimeout(this.exploreIdleTimer);
+        this.exploreIdleTimer = setTimeout(() => {
+            if (this.sceneState.is('explore') && !this.reducedMotion) {
+                this.controls.autoRotate = true;
+            }
+        }, this.exploreIdleDelay);
+    }
+    
+    stopControlsMotion() {
+        // Drop any leftover damping/auto-rotate so a GSAP flight isn't fighting the controls
+        this.controls.enabled = false;
+        this.controls.autoRotate = false;
+        clearTimeout(this.exploreIdleTimer);
+        
+        const enableDamping = this.controls.enableDamping;
+        this.controls.enableDamping = false;
+        this.controls.update();
+        this.controls.enableDamping = enableDamping;
+    }
+    
+    createLights() {
+        // Main directional light (Sun)
+        const sunLight = new THREE.DirectionalLight(0xffffff, 2.5);
+        this.sunLight = sunLight;
+        sunLight.position.set(200, 0, 100);
+        sunLight.castShadow = true;
+        sunLight.shadow.mapSize.width = 2048;
+        sunLight.shadow.mapSize.height = 2048;
+        sunLight.shadow.camera.near = 0.5;
+        sunLight.shadow.camera.far = 500;
+        sunLight.shadow.camera.left = -100;
+        sunLight.shadow.camera.right = 100;
+        sunLight.shadow.camera.top = 100;
+        sunLight.shadow.camera.bottom = -100;
+        this.scene.add(sunLight);
+        
+        // Ambient light for overall scene illumination
+        const ambientLight = new THREE.AmbientLight(0x404040, 0.3);
+        this.scene.add(ambientLight);
+        
+        // Rim light for atmosphere effect
+        const rimLight = new THREE.DirectionalLight(0x4d79a3, 0.8);
+        rimLight.position.set(-200, 50, -100);
+        this.scene.add(rimLight);
+    }
+    
+    setupSunControls() {
+        try {
+            this.useRealtimeSun = localStorage.getItem(this.realtimeSunKey) === 'true';
+        } catch (error) {
+            this.useRealtimeSun = false;
+        }
+        
+        const toggle = this.getElement('realtimeSunToggle');
+        if (toggle) {
+            this.listen(toggle, 'click', () => {
+                this.playClickSound();
+                this.setRealtimeSun(!this.useRealtimeSun);
+            });
+        }
+        
+        const scrub = this.getElement('sunScrub');
+        if (scrub) {
+            this.listen(scrub, 'input', () => {
+                // Jump to that minute of the current simulated UTC day, keeping the speed
+                const current = this.getSimulatedTime();
+                const dayStart = Date.UTC(current.getUTCFullYear(), current.getUTCMonth(), current.getUTCDate());
+                this.setSimulatedTime(dayStart + Number(scrub.value) * 60000, this.sunClock.scale);
+            });
+        }
+        
+        this.root.querySelectorAll('[data-sun-speed]').forEach(button => {
+            this.listen(button, 'click', () => {
+                this.playClickSound();
+                this.setSimulatedTime(this.getSimulatedTime().getTime(), Number(button.getAttribute('data-sun-speed')));
+            });
+        });
+        
+        const nowButton = this.getElement('sunNow');
+        if (nowButton) {
+            this.listen(nowButton, 'click', () => {
+                this.playClickSound();
+                this.setSimulatedTime(Date.now(), 1);
+            });
+        }
+        
+        this.updateSunPanel();
+    }
+    
+    setRealtimeSun(enabled) {
+        this.useRealtimeSun = enabled;
+        try {
+            localStorage.setItem(this.realtimeSunKey, String(enabled));
+        } catch (error) {
+            console.log('Could not save sun setting:', error);
+        }
+        
+        if (!enabled) {
+            // Back to the fixed default light
+            this.setSunDirection(new THREE.Vector3(1, 0, 0.5).normalize());
+        }
+        this.updateSunPanel();
+    }
+    
+    getSimulatedTime() {
+        const elapsed = performance.now() - this.sunClock.real;
+        return new Date(this.sunClock.simulated + elapsed * this.sunClock.scale);
+    }
+    
+    setSimulatedTime(time, scale) {
+        this.sunClock = { simulated: time, real: performance.now(), scale: scale };
+        this.updateSunPanel();
+    }
+    
+    getSubsolarPoint(date) {
+        // Low-precision solar position (good to roughly half a degree)
+        const dayOfYear = (date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 0)) / 86400000;
+        const declination = -23.44 * Math.cos((2 * Math.PI / 365) * (dayOfYear + 10));
+        
+        // Equation of time in minutes: how far the real sun runs ahead of clock noon
+        const b = (2 * Math.PI / 365) * (dayOfYear - 81);
+        const equationOfTime = 9.87 * Math.sin(2 * b) - 7.53 * Math.cos(b) - 1.5 * Math.sin(b);
+        
+        // The sun is overhead where local solar time is 12:00
+        const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+        let longitude = -15 * (utcHours - 12 + equationOfTime / 60);
+        longitude = ((longitude + 540) % 360) - 180;
+        
+        return { lat: declination, lon: longitude };
+    }
+    
+    latLonToVector(lat, lon, radius = 1) {
+        // Matches SphereGeometry's UV layout: lon 0 on +X, lon 90 on -Z, north on +Y
+        const phi = THREE.MathUtils.degToRad(lat);
+        const lambda = THREE.MathUtils.degToRad(lon);
+        return new THREE.Vector3(
+            radius * Math.cos(phi) * Math.cos(lambda),
+            radius * Math.sin(phi),
+            -radius * Math.cos(phi) * Math.sin(lambda)
+        );
+    }
+    
+    updateRealtimeSun() {
+        const now = this.getSimulatedTime();
+        const subsolar = this.getSubsolarPoint(now);
+        
+        // Sun direction: fixed azimuth, elevation = declination (seasons)
+        const sunDirection = this.latLonToVector(subsolar.lat, THREE.MathUtils.radToDeg(this.sunAzimuth));
+        const realtimeRotation = this.sunAzimuth - THREE.MathUtils.degToRad(subsolar.lon);
+        
+        if (this.globeHeld) {
+            // A camera shot is holding the globe: turn the sun with it so day and night stay true
+            sunDirection.applyAxisAngle(new THREE.Vector3(0, 1, 0), this.earth.rotation.y - realtimeRotation);
+        } else {
+            // Turn the globe so the subsolar longitude faces the sun
+            this.earth.rotation.y = realtimeRotation;
+        }
+        sunDirection.applyAxisAngle(new THREE.Vector3(1, 0, 0), this.earthGroup.rotation.x);
+        this.setSunDirection(sunDirection);
+        
+        // Refresh the clock readout about once a second (or constantly when scrubbing fast)
+        const realNow = performance.now();
+        if (realNow - this.lastSunReadout > 1000) {
+            this.lastSunReadout = realNow;
+            this.updateSunPanel(now);
+        }
+    }
+    
+    setSunDirection(direction) {
+        if (this.earth) {
+            this.earth.material.uniforms.lightDirection.value.copy(direction);
+        }
+        if (this.atmosphere) {
+            this.atmosphere.material.uniforms.lightDirection.value.copy(direction);
+        }
+        // Keep the cloud lighting in step with the shader
+        if (this.sunLight) {
+            this.sunLight.position.copy(direction).multiplyScalar(224);
+        }
+    }
+    
+    updateSunPanel(now = this.getSimulatedTime()) {
+        const toggle = this.getElement('realtimeSunToggle');
+        if (toggle) {
+            toggle.setAttribute('aria-pressed', String(this.useRealtimeSun));
+            toggle.classList.toggle('active', this.useRealtimeSun);
+        }
+        
+        const readout = this.getElement('sunTimeReadout');
+        if (readout) {
+            readout.textContent = now.toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+        }
+        
+        const scrub = this.getElement('sunScrub');
+        if (scrub) {
+            scrub.disabled = !this.useRealtimeSun;
+            // Don't fight the user while they drag
+            if (document.activeElement !== scrub) {
+                scrub.value = now.getUTCHours() * 60 + now.getUTCMinutes();
+            }
+        }
+        
+        this.root.querySelectorAll('[data-sun-speed]').forEach(button => {
+            button.disabled = !this.useRealtimeSun;
+            button.classList.toggle('active', Number(button.getAttribute('data-sun-speed')) === this.sunClock.scale);
+        });
+        
+        const nowButton = this.getElement('sunNow');
+        if (nowButton) {
+            nowButton.disabled = !this.useRealtimeSun;
+        }
+    }
+    
+    createStarfield() {
+        const starGeometry = new THREE.BufferGeometry();
+        const starCount = 15000;
+        const positions = new Float32Array(starCount * 3);
+        
+        for (let i = 0; i < starCount * 3; i += 3) {
+            positions[i] = (Math.random() - 0.5) * 2000;
+            positions[i + 1] = (Math.random() - 0.5) * 2000;
+            positions[i + 2] = (Math.random() - 0.5) * 2000;
+        }
+        
+        starGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        
+        const starMaterial = new THREE.PointsMaterial({
+            color: 0xffffff,
+            size: 0.8,
+            sizeAttenuation: true
+        });
+        
+        this.stars = new THREE.Points(starGeometry, starMaterial);
+        this.scene.add(this.stars);
+    }
+    
+    loadTextures() {
+        this.textureTier = this.chooseTextureTier();
+        console.log(`Texture tier: ${this.textureTier}`);
+        
+        // Start with flat placeholders so the globe is never a black hole
+        Object.keys(this.textureSlots).forEach(name => {
+            this.textures[name] = this.createPlaceholderTexture(this.textureSlots[name].placeholder);
+        });
+        
+        this.createEarth(this.textures.day, this.textures.night, this.textures.normal, this.textures.specular);
+        this.createClouds(this.textures.clouds);
+        this.createAtmosphere();
+        this.setupSunControls();
+        
+        this.loadedTextures = 0;
+        this.totalTextures = Object.keys(this.textureSlots).length;
+        this.updateLoadingProgress();
+        
+        // Files above the chosen tier are only a last resort: a bigger download still beats a blank globe
+        const tierCount = this.textureTiers.indexOf(this.textureTier) + 1;
+        const allowedTiers = this.textureTiers.slice(0, tierCount);
+        const fallbackTiers = this.textureTiers.slice(tierCount);
+        
+        const slotLoads = Object.keys(this.textureSlots).map(name => {
+            // Lowest tier first (and any tier beats a placeholder); upgradeTextures() does the rest
+            return this.loadTextureSlot(name, allowedTiers)
+                .catch((error) => {
+                    if (fallbackTiers.length === 0) throw error;
+                    return this.loadTextureSlot(name, fallbackTiers);
+                })
+                .then(({ texture, tier }) => {
+                    this.applyTexture(name, texture, tier);
+                    return null;
+                })
+                .catch((error) => {
+                    console.warn(`${this.textureSlots[name].label} unavailable, using placeholder:`, error.message);
+                    return this.textureSlots[name];
+                })
+                .then((failure) => {
+                    this.loadedTextures++;
+                    this.updateLoadingProgress();
+                    return failure;
+                });
+        });
+        
+        Promise.all(slotLoads).then((results) => {
+            this.finishLoading(results.filter(Boolean));
+            this.upgradeTextures();
+        });
+    }
+    
+    chooseTextureTier() {
+        // Manual override, e.g. ?quality=8k on the projector machine
+        const requested = new URLSearchParams(window.location.search).get('quality');
+        if (this.textureTiers.includes(requested)) {
+            return requested;
+        }
+        
+        const maxTextureSize = this.renderer.capabilities.maxTextureSize;
+        const memory = navigator.deviceMemory || 4; // GB; only Chromium reports it
+        const connection = navigator.connection || {};
+        const effectiveType = connection.effectiveType || '4g';
+        const slowNetwork = connection.saveData || effectiveType !== '4g';
+        
+        if (maxTextureSize >= 8192 && memory >= 8 && !slowNetwork) return '8k';
+        if (maxTextureSize >= 4096 && memory >= 4 && !/2g$/.test(effectiveType)) return '4k';
+        return '2k';
+    }
+    
+    loadTextureFile(url) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error(`Timed out loading ${url}`));
+            }, this.textureTimeout);
+            
+            this.textureLoader.load(url, (texture) => {
+                clearTimeout(timeout);
+                resolve(texture);
+            }, undefined, () => {
+                clearTimeout(timeout);
+                reject(new Error(`Could not load ${url}`));
+            });
+        });
+    }
+    
+    loadTextureSlot(name, tiers) {
+        const slot = this.textureSlots[name];
+        
+        // Every tier/extension combination, tried one after another
+        const candidates = [];
+        tiers.forEach(tier => {
+            slot.extensions.forEach(extension => {
+                candidates.push({ tier: tier, url: `${this.assetPaths.textures}${tier}_${slot.file}.${extension}` });
+            });
+        });
+        
+        const tryNext = (index) => {
+            if (index >= candidates.length) {
+                return Promise.reject(new Error(`no usable file for ${slot.file}`));
+            }
+            return this.loadTextureFile(candidates[index].url)
+                .then(texture => ({ texture: texture, tier: candidates[index].tier }))
+                .catch(() => tryNext(index + 1));
+        };
+        
+        return tryNext(0);
+    }
+    
+    upgradeTextures() {
+        const targetIndex = this.textureTiers.indexOf(this.textureTier);
+        
+        Object.keys(this.textureSlots).forEach(name => {
+            // Slots still on a placeholder (-1) get another try too
+            const loadedIndex = this.textureTiers.indexOf(this.loadedTextureTiers[name]);
+            if (loadedIndex >= targetIndex) return;
+            
+            this.loadTextureSlot(name, [this.textureTier])
+                .then(({ texture, tier }) => {
+                    this.applyTexture(name, texture, tier);
+                    console.log(`${this.textureSlots[name].label} upgraded to ${tier}`);
+                })
+                .catch(() => {
+                    console.log(`${this.textureSlots[name].label} staying at ${this.loadedTextureTiers[name] || 'placeholder'}`);
+                });
+        });
+    }
+    
+    createPlaceholderTexture(rgb) {
+        const texture = new THREE.DataTexture(new Uint8Array([rgb[0], rgb[1], rgb[2], 255]), 1, 1, THREE.RGBAFormat);
+        texture.needsUpdate = true;
+        return texture;
+    }
+    
+    applyTexture(name, texture, tier) {
+        // A download that finishes after destroy() has nowhere to go
+        if (this.destroyed) {
+            texture.dispose();
+            return;
+        }
+        
+        // Configure texture settings for better quality
+        texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+        texture.anisotropy = this.renderer.capabilities.getMaxAnisotropy();
+        texture.minFilter = THREE.LinearMipmapLinearFilter;
+        texture.magFilter = THREE.LinearFilter;
+        
+        const uniforms = this.earth.material.uniforms;
+        switch(name) {
+            case 'day':
+                uniforms.dayTexture.value = texture;
+                break;
+            case 'night':
+                uniforms.nightTexture.value = texture;
+                break;
+            case 'normal':
+                uniforms.normalMap.value = texture;
+                break;
+            case 'specular':
+                uniforms.specularMap.value = texture;
+                break;
+            case 'clouds':
+                this.clouds.material.map = texture;
+                this.clouds.material.needsUpdate = true;
+                break;
+        }
+        
+        // Free the texture we just replaced
+        const previous = this.textures[name];
+        if (previous && previous !== texture) {
+            previous.dispose();
+        }
+        this.textures[name] = texture;
+        this.loadedTextureTiers[name] = tier;
+    }
+    
+    createEarth(dayTexture, nightTexture, normalTexture, specularTexture) {
+        const earthGeometry = new THREE.SphereGeometry(50, 128, 64);
+        const theme = this.getTheme();
+        
+        // Custom shader material for day/night cycle
+        const earthMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                dayTexture: { value: dayTexture },
+                nightTexture: { value: nightTexture },
+                normalMap: { value: normalTexture },
+                specularMap: { value: specularTexture },
+                lightDirection: { value: new THREE.Vector3(1, 0, 0.5).normalize() },
+                dayTint: { value: this.toColor(theme.earth.dayTint) },
+                nightTint: { value: this.toColor(theme.earth.nightTint) },
+                specularTint: { value: this.toColor(theme.earth.specularTint) },
+                atmosphereColor: { value: this.toColor(theme.earth.atmosphereColor) },
+                trueColor: { value: theme.earth.trueColor }
+            },
+            vertexShader: `
+                varying vec3 vNormal;
+                varying vec2 vUv;
+                varying vec3 vPosition;
+                varying vec3 vLightVector;
+                
+                uniform vec3 lightDirection;
+                
+                void main() {
+                    // World space, so lightDirection is a real sun direction rather than camera-relative
+                    vNormal = normalize(mat3(modelMatrix) * normal);
+                    vUv = uv;
+                    vPosition = (modelMatrix * vec4(position, 1.0)).xyz;
+                    vLightVector = normalize(lightDirection);
+                    
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D dayTexture;
+                uniform sampler2D nightTexture;
+                uniform sampler2D normalMap;
+                uniform sampler2D specularMap;
+                uniform vec3 lightDirection;
+                uniform vec3 dayTint;
+                uniform vec3 nightTint;
+                uniform vec3 specularTint;
+                uniform vec3 atmosphereColor;
+                uniform float trueColor;
+                
+                varying vec3 vNormal;
+                varying vec2 vUv;
+                varying vec3 vPosition;
+                varying vec3 vLightVector;
+                
+                void main() {
+                    vec3 dayColor = texture2D(dayTexture, vUv).rgb;
+                    vec3 nightColor = texture2D(nightTexture, vUv).rgb;
+                    vec3 normal = normalize(vNormal);
+                    vec3 specular = texture2D(specularMap, vUv).rgb;
+                    
+                    // Calculate lighting
+                    float lightIntensity = dot(normal, vLightVector);
+                    lightIntensity = smoothstep(-0.1, 0.1, lightIntensity);
+                    
+                    // Reduce day and night maps to brightness and tint them with the theme
+                    float dayBrightness = (dayColor.r + dayColor.g + dayColor.b) / 3.0;
+                    float nightBrightness = (nightColor.r + nightColor.g + nightColor.b) / 3.0;
+                    vec3 tintedDay = mix(dayBrightness * dayTint, dayColor * dayTint, trueColor);
+                    vec3 tintedNight = mix(nightBrightness * nightTint, nightColor * nightTint, trueColor);
+                    
+                    // Mix day and night textures
+                    vec3 color = mix(tintedNight * 0.8, tintedDay, lightIntensity);
+                    
+                    // Add specular highlights on water
+                    float specularFactor = pow(max(0.0, dot(reflect(-vLightVector, normal), normalize(vPosition))), 32.0);
+                    color += specular * specularFactor * specularTint * 0.5;
+                    
+                    // Add atmospheric scattering (very subtle)
+                    float fresnel = 1.0 - dot(normal, normalize(vPosition));
+                    fresnel = pow(fresnel, 5.0);
+                    color = mix(color, atmosphereColor, fresnel * 0.02);
+                    
+                    // The tints are monochrome already, so the old red/blue caps are no longer needed
+                    gl_FragColor = vec4(color, 1.0);
+                }
+            `
+        });
+        
+        this.earth = new THREE.Mesh(earthGeometry, earthMaterial);
+        this.earth.receiveShadow = true;
+        this.earth.castShadow = true;
+        
+        // Create Earth group for easier manipulation
+        this.earthGroup = new THREE.Group();
+        this.earthGroup.add(this.earth);
+        this.scene.add(this.earthGroup);
+    }
+    
+    createClouds(cloudTexture) {
+        const cloudGeometry = new THREE.SphereGeometry(50.5, 64, 32);
+        const cloudMaterial = new THREE.MeshLambertMaterial({
+            map: cloudTexture,
+            color: this.toColor(this.getTheme().cloudTint),
+            transparent: true,
+            opacity: 0.4,
+            blending: THREE.AdditiveBlending
+        });
+        
+        this.clouds = new THREE.Mesh(cloudGeometry, cloudMaterial);
+        this.earthGroup.add(this.clouds);
+    }
+    
+    createAtmosphere() {
+        // A thin shell just above the clouds. The old version drew the glow on the
+        // back faces of a much larger sphere, which showed up as a thick band; this
+        // one only lights the grazing front faces, so the glow stays on the limb.
+        const quality = this.qualityLevels[this.qualityLevel];
+        const atmosphereGeometry = new THREE.SphereGeometry(this.atmosphereRadius, quality.cloudSegments[0], quality.cloudSegments[1]);
+        const theme = this.getTheme();
+        
+        const atmosphereMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                lightDirection: { value: new THREE.Vector3(1, 0, 0.5).normalize() },
+                glowColor: { value: this.toColor(theme.atmosphere.color) },
+                glowIntensity: { value: theme.atmosphere.intensity },
+                rimPower: { value: 4.0 },
+                distanceBoost: { value: 1.0 }
+            },
+            vertexShader: `
+                varying vec3 vNormal;
+                varying vec3 vPosition;
+                
+                void main() {
+                    vNormal = normalize(mat3(modelMatrix) * normal);
+                    vPosition = (modelMatrix * vec4(position, 1.0)).xyz;
+                    
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 lightDirection;
+                uniform vec3 glowColor;
+                uniform float glowIntensity;
+                uniform float rimPower;
+                uniform float distanceBoost;
+                
+                varying vec3 vNormal;
+                varying vec3 vPosition;
+                
+                void main() {
+                    vec3 normal = normalize(vNormal);
+                    vec3 viewDirection = normalize(cameraPosition - vPosition);
+                    vec3 light = normalize(lightDirection);
+                    
+                    // Rim: grows towards the limb, then fades out right at the silhouette
+                    float facing = max(dot(normal, viewDirection), 0.0);
+                    float rim = pow(1.0 - facing, rimPower) * smoothstep(0.0, 0.12, facing);
+                    
+                    // Only the sunlit side scatters, with a soft edge across the terminator
+                    float daylight = smoothstep(-0.25, 0.35, dot(normal, light));
+                    
+                    // Rayleigh phase function: brighter looking towards or away from the sun
+                    float cosTheta = dot(-viewDirection, light);
+                    float phase = 0.75 * (1.0 + cosTheta * cosTheta);
+                    
+                    float glow = rim * daylight * phase * glowIntensity * distanceBoost;
+                    gl_FragColor = vec4(glowColor * glow, glow);
+                }
+            `,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+        
+        this.atmosphere = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
+        this.atmosphere.visible = this.showAtmosphere;
+        this.earthGroup.add(this.atmosphere);
+    }
+    
+    updateAtmosphere() {
+        if (!this.atmosphere || !this.atmosphere.visible) return;
+        
+        // From the 1000-unit intro the limb is only a few pixels wide, so widen and
+        // brighten the glow with distance; at the 160-unit menu it stays a fine line
+        this.earthGroup.getWorldPosition(this.atmosphereCenter);
+        const distance = this.camera.position.distanceTo(this.atmosphereCenter);
+        const t = THREE.MathUtils.clamp((distance - 160) / (1000 - 160), 0, 1);
+        
+        const uniforms = this.atmosphere.material.uniforms;
+        uniforms.rimPower.value = THREE.MathUtils.lerp(4.0, 2.5, t);
+        uniforms.distanceBoost.value = THREE.MathUtils.lerp(1.0, 1.4, t);
+    }
+    
+    setShowAtmosphere(visible) {
+        this.showAtmosphere = visible;
+        if (this.atmosphere) {
+            this.atmosphere.visible = visible;
+        }
+        
+        try {
+            localStorage.setItem(this.atmosphereKey, String(visible));
+        } catch (error) {
+            console.log('Could not save atmosphere setting:', error);
+        }
+        this.updateThemeOptions();
+    }
+    
+    setupEventListeners() {
+        // Window resize; an embedded globe follows its container instead
+        if (this.root !== document.body && window.ResizeObserver) {
+            this.resizeObserver = new ResizeObserver(() => this.onWindowResize());
+            this.resizeObserver.observe(this.root);
+        } else {
+            this.listen(window, 'resize', () => this.onWindowResize());
+        }
+        this.updateLayoutMode();
+        
+        // Swipe down to close dialogs on touch screens
+        this.setupDialogSwipe();
+        
+        // Free orbit mode and its Return action
+        this.setupExplore();
+        
+        // Command console overlay
+        this.setupTerminal();
+        
+        // Start experience controls
+        this.setupStartExperience();
+        
+        // Hover and click on globe markers
+        this.setupMarkerPicking();
+        
+        // Detail card for sponsor satellites
+        this.setupSponsorCard();
+    }
+    
+    loadMarkers(markerData) {
+        markerData.forEach(data => {
+            if (!data.hidden) {
+                this.addMarker(data);
+            }
+        });
+    }
+    
+    addMarker(data) {
+        if (!this.earth || typeof data.lat !== 'number' || typeof data.lon !== 'number') {
+            console.warn('Skipping marker without earth or coordinates:', data);
+            return null;
+        }
+        
+        // Replace an existing marker with the same id
+        if (data.id) {
+            this.removeMarker(data.id);
+        }
+        
+        if (!this.markerGeometry) {
+            this.markerGeometry = new THREE.SphereGeometry(0.6, 16, 12);
+        }
+        
+        const marker = {
+            id: data.id || `marker${this.markers.length + 1}`,
+            label: data.label || '',
+            description: data.description || '',
+            lat: data.lat,
+            lon: data.lon,
+            action: data.action || { type: 'flyTo' },
+            phase: Math.random() * Math.PI * 2,
+            // Markers without their own color follow the theme accent
+            themed: !data.color,
+            mesh: null
+        };
+        
+        const material = new THREE.MeshBasicMaterial({ color: new THREE.Color(data.color || this.getTheme().ui.accent) });
+        marker.mesh = new THREE.Mesh(this.markerGeometry, material);
+        marker.mesh.position.copy(this.latLonToVector(marker.lat, marker.lon, this.markerRadius));
+        marker.mesh.userData.marker = marker;
+        
+        this.earth.add(marker.mesh);
+        this.markers.push(marker);
+        return marker;
+    }
+    
+    removeMarker(id) {
+        const marker = this.markers.find(m => m.id === id);
+        if (!marker) return;
+        
+        this.earth.remove(marker.mesh);
+        marker.mesh.material.dispose();
+        this.markers = this.markers.filter(m => m !== marker);
+        
+        if (this.hoveredMarker === marker) {
+            this.setHoveredMarker(null);
+        }
+    }
+    
+    clearMarkers() {
+        this.markers.slice().forEach(marker => this.removeMarker(marker.id));
+    }
+    
+    animateMarkers() {
+        const time = performance.now() / 1000;
+        this.markers.forEach(marker => {
+            const hovered = marker === this.hoveredMarker || marker === this.focusedMarker;
+            const pulse = this.reducedMotion ? 1 : 1 + Math.sin(time * 3 + marker.phase) * 0.15;
+            marker.mesh.scale.setScalar(hovered ? 1.8 : pulse);
+        });
+    }
+    
+    loadSponsors(sponsorData, tierData) {
+        // Tiers from content.json extend or override SPONSOR_TIERS
+        const tiers = Object.assign({}, SPONSOR_TIERS);
+        Object.keys(tierData || {}).forEach(id => {
+            tiers[id] = Object.assign({}, SPONSOR_TIERS[id], tierData[id]);
+        });
+        
+        this.clearSponsors();
+        this.sponsorTiers = tiers;
+        
+        sponsorData.forEach(data => {
+            if (data.hidden) return;
+            if (!data.name || !tiers[data.tier]) {
+                console.warn('Skipping sponsor without name or known tier:', data);
+                return;
+            }
+            this.sponsors.push({
+                id: data.id || `sponsor${this.sponsors.length + 1}`,
+                name: data.name,
+                tierId: data.tier,
+                tier: tiers[data.tier],
+                logo: data.logo || '',
+                url: data.url || '',
+                description: data.description || '',
+                image: null,
+                orbit: null,
+                sprite: null,
+                canvas: null,
+                texture: null,
+                highlight: 0
+            });
+        });
+        
+        // Biggest tiers first, so the dialog list and orbit spacing follow the tier order
+        const tierOrder = Object.keys(tiers);
+        this.sponsors.sort((a, b) => tierOrder.indexOf(a.tierId) - tierOrder.indexOf(b.tierId));
+        
+        if (this.earthGroup) {
+            this.createSponsorSatellites();
+        }
+    }
+    
+    createSponsorSatellites() {
+        this.sponsorOrbits = new THREE.Group();
+        this.earthGroup.add(this.sponsorOrbits);
+        
+        Object.keys(this.sponsorTiers).forEach(tierId => {
+            const tier = this.sponsorTiers[tierId];
+            const members = this.sponsors.filter(sponsor => sponsor.tierId === tierId);
+            
+            members.forEach((sponsor, index) => {
+                // Each satellite gets its own tilted plane; spacing keeps a tier from bunching up
+                const plane = new THREE.Object3D();
+                const tilt = THREE.MathUtils.degToRad(tier.inclination) * (index % 2 === 0 ? 1 : -1);
+                plane.rotation.set(tilt, index * 2.4, 0, 'YXZ');
+                
+                sponsor.orbit = new THREE.Object3D();
+                sponsor.orbit.rotation.y = (index / members.length) * Math.PI * 2;
+                
+                sponsor.canvas = document.createElement('canvas');
+                sponsor.canvas.width = 256;
+                sponsor.canvas.height = 128;
+                sponsor.texture = new THREE.CanvasTexture(sponsor.canvas);
+                
+                // Depth tested against the globe so satellites pass behind it
+                const material = new THREE.SpriteMaterial({
+                    map: sponsor.texture,
+                    transparent: true,
+                    depthWrite: false,
+                    opacity: 0.85
+                });
+                sponsor.sprite = new THREE.Sprite(material);
+                sponsor.sprite.position.set(50 + tier.altitude, 0, 0);
+                sponsor.sprite.scale.set(tier.size * 2, tier.size, 1);
+                sponsor.sprite.userData.sponsor = sponsor;
+                
+                sponsor.orbit.add(sponsor.sprite);
+                plane.add(sponsor.orbit);
+                this.sponsorOrbits.add(plane);
+                
+                this.drawSponsorBadge(sponsor);
+                this.loadSponsorLogo(sponsor);
+            });
+        });
+        
+        // Badge text uses the theme fonts, which may still be loading
+        if (document.fonts) {
+            document.fonts.ready.then(() => {
+                this.sponsors.forEach(sponsor => this.drawSponsorBadge(sponsor));
+            });
+        }
+    }
+    
+    loadSponsorLogo(sponsor) {
+        if (!sponsor.logo) return;
+        
+        const image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = () => {
+            sponsor.image = image;
+            this.drawSponsorBadge(sponsor);
+        };
+        image.onerror = () => {
+            console.warn(`Sponsor logo unavailable, showing name instead: ${sponsor.logo}`);
+        };
+        image.src = sponsor.logo;
+    }
+    
+    drawSponsorBadge(sponsor) {
+        if (!sponsor.canvas) return;
+        
+        const theme = this.getTheme();
+        const context = sponsor.canvas.getContext('2d');
+        const width = sponsor.canvas.width;
+        const height = sponsor.canvas.height;
+        
+        context.clearRect(0, 0, width, height);
+        context.globalAlpha = 0.85;
+        context.fillStyle = theme.ui.panel;
+        context.fillRect(4, 4, width - 8, height - 8);
+        context.globalAlpha = 1;
+        context.strokeStyle = sponsor.tier.color;
+        context.lineWidth = 6;
+        context.strokeRect(3, 3, width - 6, height - 6);
+        
+        if (sponsor.image) {
+            // Fit the logo inside the frame without stretching it
+            const padding = 16;
+            const scale = Math.min((width - padding * 2) / sponsor.image.width, (height - padding * 2) / sponsor.image.height);
+            const logoWidth = sponsor.image.width * scale;
+            const logoHeight = sponsor.image.height * scale;
+            context.drawImage(sponsor.image, (width - logoWidth) / 2, (height - logoHeight) / 2, logoWidth, logoHeight);
+        } else {
+            context.fillStyle = '#ffffff';
+            context.font = `36px ${theme.fonts.display}`;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(sponsor.name, width / 2, height / 2, width - 32);
+        }
+        
+        sponsor.texture.needsUpdate = true;
+    }
+    
+    clearSponsors() {
+        this.setHoveredSponsor(null);
+        this.hideSponsorCard();
+        
+        if (this.sponsorOrbits) {
+            this.earthGroup.remove(this.sponsorOrbits);
+            this.sponsorOrbits = null;
+        }
+        this.sponsors.forEach(sponsor => {
+            if (sponsor.sprite) {
+                sponsor.sprite.material.dispose();
+                sponsor.texture.dispose();
+            }
+        });
+        this.sponsors = [];
+    }
+    
+    animateSponsors(frameScale, rotationScale) {
+        this.sponsors.forEach(sponsor => {
+            if (!sponsor.orbit) return;
+            
+            sponsor.orbit.rotation.y += sponsor.tier.speed * frameScale * rotationScale;
+            
+            // Ease towards the hover highlight (snap under reduced motion)
+            const target = sponsor === this.hoveredSponsor || sponsor === this.activeSponsor ? 1 : 0;
+            sponsor.highlight = this.reducedMotion ? target : sponsor.highlight + (target - sponsor.highlight) * Math.min(0.2 * frameScale, 1);
+            
+            const scale = 1 + sponsor.highlight * 0.3;
+            sponsor.sprite.scale.set(sponsor.tier.size * 2 * scale, sponsor.tier.size * scale, 1);
+            sponsor.sprite.material.opacity = 0.85 + sponsor.highlight * 0.15;
+        });
+    }
+    
+    pickSponsor(event) {
+        if (this.sponsors.length === 0 || !this.earth) return null;
+        
+        this.setPointerFromEvent(event);
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        
+        // Test the globe too, so satellites behind it can't be picked
+        const sprites = this.sponsors.filter(sponsor => sponsor.sprite).map(sponsor => sponsor.sprite);
+        const hits = this.raycaster.intersectObjects([this.earth].concat(sprites), false);
+        const nearest = hits[0];
+        return nearest && nearest.object.userData.sponsor ? nearest.object.userData.sponsor : null;
+    }
+    
+    setHoveredSponsor(sponsor) {
+        if (sponsor === this.hoveredSponsor) return;
+        
+        this.hoveredSponsor = sponsor;
+        this.renderer.domElement.style.cursor = sponsor || this.hoveredMarker ? 'pointer' : '';
+        
+        if (!sponsor) {
+            const label = this.getElement('sponsorLabel');
+            if (label) {
+                label.classList.add('hidden');
+            }
+        }
+    }
+    
+    updateSponsorLabel() {
+        const sponsor = this.hoveredSponsor;
+        const label = this.getElement('sponsorLabel');
+        if (!sponsor || !label) return;
+        
+        const { x, y } = this.getScreenPosition(sponsor.sprite);
+        
+        label.querySelector('.marker-name').textContent = sponsor.name;
+        label.querySelector('.marker-description').textContent = this.t('sponsorTier', { tier: this.localize(sponsor.tier.label) });
+        label.style.transform = `translate(${x}px, ${y}px)`;
+        label.classList.remove('hidden');
+    }
+    
+    setupSponsorCard() {
+        const card = this.getElement('sponsorCard');
+        if (!card) return;
+        
+        this.listen(card.querySelector('.sponsor-card-close'), 'click', () => {
+            this.playClickSound();
+            this.hideSponsorCard();
+        });
+        
+        // Escape closes the card without also leaving the menu
+        this.listen(card, 'keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.stopPropagation();
+                this.hideSponsorCard();
+            }
+        });
+        
+        // Clicking anywhere else closes it too
+        this.listen(document, 'pointerdown', (event) => {
+            if (this.activeSponsor && !card.contains(event.target)) {
+                this.hideSponsorCard();
+            }
+        });
+        
+        // Opening a section or leaving the menu takes the card with it
+        this.on('transitioning', () => this.hideSponsorCard());
+    }
+    
+    showSponsorCard(sponsor) {
+        const card = this.getElement('sponsorCard');
+        if (!card) return;
+        
+        this.activeSponsor = sponsor;
+        
+        const logo = card.querySelector('.sponsor-card-logo');
+        logo.hidden = !sponsor.logo;
+        logo.src = sponsor.logo;
+        logo.alt = sponsor.logo ? this.t('sponsorLogo', { name: sponsor.name }) : '';
+        
+        const tier = card.querySelector('.sponsor-card-tier');
+        tier.textContent = this.t('sponsorTier', { tier: this.localize(sponsor.tier.label) });
+        tier.style.color = sponsor.tier.color;
+        
+        card.querySelector('.sponsor-card-name').textContent = sponsor.name;
+        card.querySelector('.sponsor-card-description').textContent = this.localize(sponsor.description);
+        
+        const link = card.querySelector('.sponsor-card-link');
+        link.hidden = !sponsor.url;
+        link.href = sponsor.url || '#';
+        
+        card.classList.remove('hidden');
+        card.focus();
+    }
+    
+    hideSponsorCard() {
+        const card = this.getElement('sponsorCard');
+        if (!card || !this.activeSponsor) return;
+        
+        const hadFocus = card.contains(document.activeElement);
+        this.activeSponsor = null;
+        card.classList.add('hidden');
+        
+        if (hadFocus && this.sceneState.is('menu')) {
+            this.focusSelectedMenuOption();
+        }
+    }
+    
+    setupMarkerPicking() {
+        const canvas = this.renderer.domElement;
+        
+        this.listen(canvas, 'pointermove', (event) => {
+            if (!this.sceneState.is('menu')) return;
+            // Satellites fly above the markers, so they win when both are under the pointer
+            const sponsor = this.pickSponsor(event);
+            this.setHoveredMarker(sponsor ? null : this.pickMarker(event));
+            this.setHoveredSponsor(sponsor);
+        });
+        
+        this.listen(canvas, 'pointerdown', (event) => {
+            this.pointerDownPosition = { x: event.clientX, y: event.clientY };
+        });
+        
+        this.listen(canvas, 'click', (event) => {
+            // Ignore the end of a drag
+            const down = this.pointerDownPosition;
+            if (down && Math.hypot(event.clientX - down.x, event.clientY - down.y) > 5) return;
+            
+            if (this.sceneState.is('focus')) {
+                this.returnFromMarker();
+                return;
+            }
+            
+            if (!this.sceneState.is('menu')) return;
+            
+            const sponsor = this.pickSponsor(event);
+            if (sponsor) {
+                this.playClickSound();
+                this.showSponsorCard(sponsor);
+                return;
+            }
+            
+            const marker = this.pickMarker(event);
+            if (marker) {
+                this.playClickSound();
+                this.activateMarker(marker);
+            }
+        });
+        
+        this.listen(document, 'keydown', (event) => {
+            if (!this.sceneState.is('focus') || this.isTypingTarget(event.target)) return;
+            if (event.key === 'Escape' || this.isShortcut(event, 'back')) {
+                this.playClickSound();
+                this.returnFromMarker();
+            }
+        });
+    }
+    
+    pickMarker(event) {
+        if (this.markers.length === 0 || !this.earth) return null;
+        
+        this.setPointerFromEvent(event);
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        
+        // Test the globe too, so markers on the far side are hidden behind it
+        const hits = this.raycaster.intersectObject(this.earth, true);
+        const nearest = hits[0];
+        return nearest && nearest.object.userData.marker ? nearest.object.userData.marker : null;
+    }
+    
+    setHoveredMarker(marker) {
+        if (marker === this.hoveredMarker) return;
+        
+        this.hoveredMarker = marker;
+        this.renderer.domElement.style.cursor = marker ? 'pointer' : '';
+        
+        if (!marker && !this.focusedMarker) {
+            this.hideMarkerLabel();
+        }
+    }
+    
+    activateMarker(marker) {
+        const action = marker.action;
+        
+        if (action.type === 'section' && this.getSection(action.section)) {
+            this.setHoveredMarker(null);
+            this.openSectionFromMenu(action.section);
+        } else {
+            this.flyToMarker(marker);
+        }
+    }
+    
+    getMarkerCameraPosition(marker) {
+        const position = marker.mesh.getWorldPosition(new THREE.Vector3());
+        return position.normalize().multiplyScalar(this.markerFocusDistance);
+    }
+    
+    flyToMarker(marker) {
+        if (!this.sceneState.transition('transitioning', { marker: marker.id })) return;
+        
+        this.setHoveredMarker(null);
+        this.focusedMarker = marker;
+        
+        const gameMenu = this.getElement('gameMenu');
+        if (gameMenu) {
+            gameMenu.style.display = 'none';
+        }
+        
+        this.cancelCameraTweens();
+        
+        // Blend toward a moving goal, since the marker keeps turning with the globe
+        const startPosition = this.camera.position.clone();
+        const startTarget = this.controls.target.clone();
+        const centre = new THREE.Vector3(0, 0, 0);
+        const flight = { progress: 0 };
+        
+        this.moveCamera((speed) => {
+            this.cameraFlight = gsap.to(flight, {
+                duration: 2.5 * speed,
+                progress: 1,
+                ease: "power2.inOut",
+                onUpdate: () => {
+                    this.camera.position.lerpVectors(startPosition, this.getMarkerCameraPosition(marker), flight.progress);
+                    this.controls.target.lerpVectors(startTarget, centre, flight.progress);
+                    this.controls.update();
+                },
+                onComplete: () => {
+                    this.cameraFlight = null;
+                    this.sceneState.transition('focus', { marker: marker.id });
+                }
+            });
+        });
+    }
+    
+    returnFromMarker() {
+        if (!this.sceneState.is('focus') || !this.sceneState.transition('transitioning', { marker: this.focusedMarker.id })) return;
+        
+        this.focusedMarker = null;
+        this.hideMarkerLabel();
+        
+        // Swing back round the globe to the menu shot
+        this.playShot('menu', { duration: 2.5, path: 'orbit' }).then((finished) => {
+            if (!finished) return;
+            
+            const gameMenu = this.getElement('gameMenu');
+            if (gameMenu) {
+                gameMenu.style.display = '';
+            }
+            this.sceneState.transition('menu');
+            this.applyRoute();
+        });
+    }
+    
+    updateMarkerLabel() {
+        const marker = this.focusedMarker || this.hoveredMarker;
+        const label = this.getElement('markerLabel');
+        if (!marker || !label) return;
+        
+        const { x, y } = this.getScreenPosition(marker.mesh);
+        
+        label.querySelector('.marker-name').textContent = marker.label;
+        label.querySelector('.marker-description').textContent = marker.description;
+        label.classList.toggle('pinned', marker === this.focusedMarker);
+        label.style.transform = `translate(${x}px, ${y}px)`;
+        label.classList.remove('hidden');
+    }
+    
+    hideMarkerLabel() {
+        const label = this.getElement('markerLabel');
+        if (label) {
+            label.classList.add('hidden');
+        }
+    }
+    
+    getLayoutMode() {
+        const { width, height } = this.getViewportSize();
+        return height > width ? 'portrait' : 'landscape';
+    }
+    
+    zoomToPlanet(duration = 3) {
+        // content.json can stage a longer intro as a sequence of shots ending on the menu
+        const intro = duration < 3 || !this.content || !this.content.intro
+            ? [{ shot: 'menu', duration: duration }]
+            : this.content.intro;
+        
+        this.playSequence(intro).then((finished) => {
+            if (!finished) return;
+            
+            // Menu items come from the content config, so wait for it
+            this.contentReady.then(() => {
+                this.sceneState.transition('menu');
+                this.showGameMenu();
+                
+                // Open whatever section the URL points at
+                this.applyRoute();
+            });
+        });
+    }
+    
+    zoomOut() {
+        // Back to the title screen: the reverse of startGame()
+        if (!this.sceneState.is('menu') || !this.sceneState.transition('transitioning', { title: true })) return;
+        
+        this.playClickSound();
+        this.setHoveredMarker(null);
+        this.hideGameMenu();
+        
+        // Reloading from here should land on the title too
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        
+        this.playShot('title').then((finished) => {
+            if (!finished) return;
+            
+            const startText = this.getElement('startText');
+            const titleContainer = this.getElement('titleContainer');
+            if (titleContainer) {
+                titleContainer.classList.remove('hidden');
+            }
+            if (startText) {
+                startText.classList.remove('hidden');
+                startText.focus({ preventScroll: true });
+            }
+            
+            this.sceneState.transition('intro');
+        });
+    }
+    
+    getShot(shot) {
+        // A shot is a name from this.shots or an inline definition
+        const definition = typeof shot === 'string' ? this.shots[shot] : shot;
+        if (!definition) {
+            console.warn('Unknown camera shot:', shot);
+            return null;
+        }
+        
+        // Inline shots can extend a named one
+        const base = definition.extends ? this.getShot(definition.extends) || {} : {};
+        const merged = Object.assign({ distance: 160, offset: [0, 0], duration: 2.5, ease: 'power2.inOut', path: 'direct' }, base, definition);
+        if (this.layoutMode === 'portrait' && merged.portrait) {
+            Object.assign(merged, merged.portrait);
+        }
+        return merged;
+    }
+    
+    resolveShot(shot) {
+        const definition = this.getShot(shot);
+        if (!definition) return null;
+        
+        const { width, height } = this.getViewportSize();
+        const aspect = width / height;
+        const tanHalfFov = Math.tan(this.camera.fov * Math.PI / 360);
+        
+        // fit: back off until a sphere of that radius spans no more than the width
+        const distance = definition.fit
+            ? Math.max(definition.distance, definition.fit / (tanHalfFov * aspect))
+            : definition.distance;
+        const halfHeight = tanHalfFov * distance;
+        const halfWidth = halfHeight * aspect;
+        
+        const position = definition.position
+            ? new THREE.Vector3().fromArray(definition.position)
+            : new THREE.Vector3(0, 0, distance);
+        // Right-to-left layouts put the menu on the left, so the globe moves to the right
+        const mirror = this.getLocale().dir === 'rtl' ? -1 : 1;
+        const target = new THREE.Vector3(definition.offset[0] * halfWidth * mirror, definition.offset[1] * halfHeight, 0);
+        
+        return {
+            position,
+            target,
+            face: definition.face || null,
+            duration: definition.duration,
+            ease: definition.ease,
+            path: definition.path
+        };
+    }
+    
+    getGlobeOrientation(face) {
+        // Tilt the group by the latitude and spin the globe so the longitude faces +z (the camera)
+        const local = this.latLonToVector(face.lat, face.lon);
+        const y = -Math.atan2(local.x, local.z);
+        return { x: THREE.MathUtils.degToRad(face.lat), y: this.nearestAngle(this.earth.rotation.y, y) };
+    }
+    
+    nearestAngle(from, to) {
+        // The equivalent of 'to' closest to 'from', so the globe never spins the long way round
+        const turn = Math.PI * 2;
+        return from + ((((to - from) % turn) + turn * 1.5) % turn - Math.PI);
+    }
+    
+    getRealtimeRotation() {
+        const subsolar = this.getSubsolarPoint(this.getSimulatedTime());
+        return this.sunAzimuth - THREE.MathUtils.degToRad(subsolar.lon);
+    }
+    
+    playShot(shot, options = {}) {
+        const resolved = this.resolveShot(shot);
+        if (!resolved || !this.earth) return Promise.resolve(false);
+        
+        // Interrupts whatever shot is running (its promise resolves false)
+        this.cancelCameraTweens();
+        this.currentShot = shot;
+        
+        const duration = options.instant ? 0 : (options.duration !== undefined ? options.duration : resolved.duration);
+        const path = options.path || resolved.path;
+        const startPosition = this.camera.position.clone();
+        const startTarget = this.controls.target.clone();
+        
+        // Orbit paths interpolate on a sphere around the globe
+        const from = new THREE.Spherical().setFromVector3(startPosition);
+        const to = new THREE.Spherical().setFromVector3(resolved.position);
+        const thetaTo = this.nearestAngle(from.theta, to.theta);
+        const spherical = new THREE.Spherical();
+        
+        // Globe orientation: facing shots hold the globe; others let it go (back to the
+        // live sun angle in real-time mode, or simply level again)
+        const startTilt = this.earthGroup.rotation.x;
+        const startSpin = this.earth.rotation.y;
+        let orientation = { x: 0, y: null };
+        if (resolved.face) {
+            orientation = this.getGlobeOrientation(resolved.face);
+        } else if (this.globeHeld && this.useRealtimeSun) {
+            orientation.y = this.nearestAngle(startSpin, this.getRealtimeRotation());
+        }
+        this.globeHeld = orientation.y !== null;
+        
+        const flight = { progress: 0 };
+        
+        return new Promise((resolve) => {
+            this.shotResolve = resolve;
+            
+            const run = (speed) => {
+                this.cameraFlight = gsap.to(flight, {
+                    duration: duration * speed,
+                    progress: 1,
+                    ease: resolved.ease,
+                    onUpdate: () => {
+                        const t = flight.progress;
+                        if (path === 'orbit') {
+                            spherical.set(
+                                THREE.MathUtils.lerp(from.radius, to.radius, t),
+                                THREE.MathUtils.lerp(from.phi, to.phi, t),
+                                THREE.MathUtils.lerp(from.theta, thetaTo, t)
+                            );
+                            this.camera.position.setFromSpherical(spherical);
+                        } else {
+                            this.camera.position.lerpVectors(startPosition, resolved.position, t);
+                        }
+                        this.controls.target.lerpVectors(startTarget, resolved.target, t);
+                        
+                        this.earthGroup.rotation.x = THREE.MathUtils.lerp(startTilt, orientation.x, t);
+                        if (orientation.y !== null) {
+                            this.earth.rotation.y = THREE.MathUtils.lerp(startSpin, orientation.y, t);
+                        }
+                        this.controls.update();
+                    },
+                    onComplete: () => {
+                        this.cameraFlight = null;
+                        this.shotResolve = null;
+                        this.globeHeld = Boolean(resolved.face);
+                        resolve(true);
+                    }
+                });
+            };
+            
+            if (options.instant) {
+                run(0);
+            } else {
+                this.moveCamera(run);
+            }
+        });
+    }
+    
+    playSequence(steps) {
+        // Steps are shot names or { shot, duration, hold }; a new shot or sequence interrupts this one
+        const sequence = ++this.shotSequence;
+        
+        return steps.reduce((previous, step) => previous.then((finished) => {
+            if (!finished || sequence !== this.shotSequence) return false;
+            
+            const options = typeof step === 'string' ? {} : step;
+            const shot = typeof step === 'string' ? step : step.shot;
+            
+            return this.playShot(shot, options).then((done) => {
+                if (!done || !options.hold) return done;
+                return new Promise((resolve) => {
+                    this.scheduleScene(() => resolve(sequence === this.shotSequence), options.hold * 1000);
+                });
+            });
+        }), Promise.resolve(true));
+    }
+    
+    setupStartExperience() {
+        const startText = this.getElement('startText');
+        
+        // Phones have no Enter key: ask for a tap, and accept one anywhere on the globe
+        if (startText && this.isTouch) {
+            startText.querySelector('span').setAttribute('data-i18n', 'startTap');
+            this.translateElements(startText);
+        }
+        this.listen(this.renderer.domElement, 'pointerup', (event) => {
+            if (event.pointerType !== 'mouse' && this.sceneState.is('intro')) {
+                this.startGame();
+            }
+        });
+        
+        // Show social media icons in initial frame
+        this.showSocialMedia();
+        this.setupSocialMediaInteractions();
+        
+        // Add temporary test key for voices (V key)
+        this.listen(document, 'keydown', (event) => {
+            if (this.isTypingTarget(event.target)) return;
+            if (event.key.toLowerCase() === 'v') {
+                console.log('Manual voice test triggered!');
+                this.playRandomVoice();
+            }
+        });
+        
+        // Handle Enter key press
+        this.listen(document, 'keydown', (event) => {
+            if (event.code === 'Enter' && this.sceneState.is('intro') && !this.isTypingTarget(event.target)) {
+                this.startGame();
+            }
+        });
+        
+        // Handle click on start text
+        if (startText) {
+            this.listen(startText, 'click', () => {
+                if (this.sceneState.is('intro')) {
+                    this.startGame();
+                }
+            });
+            // It's a role="button", so Space activates it too
+            this.listen(startText, 'keydown', (event) => {
+                if (event.key === ' ' && this.sceneState.is('intro')) {
+                    event.preventDefault();
+                    this.startGame();
+                }
+            });
+        }
+    }
+    
+    startGame(fastForward = false) {
+        if (!this.sceneState.transition('zooming')) return;
+        
+        this.analytics.track('start', { deepLink: fastForward });
+        this.playClickSound();
+        const startText = this.getElement('startText');
+        const titleContainer = this.getElement('titleContainer');
+        
+        // Hide the title screen (the social bar follows the scene state)
+        if (startText) {
+            startText.classList.add('hidden');
+        }
+        if (titleContainer) {
+            titleContainer.classList.add('hidden');
+        }
+        // Trigger zoom to planet animation (quicker when arriving via a deep link)
+        this.scheduleScene(() => {
+            this.zoomToPlanet(fastForward ? 1 : 3);
+        }, 300);
+    }
+    
+    showGameMenu() {
+        const gameMenu = this.getElement('gameMenu');
+        if (gameMenu) {
+            // Remove hidden class and add visible class for smooth fade-in
+            gameMenu.classList.remove('hidden');
+            this.scheduleScene(() => {
+                gameMenu.classList.add('visible');
+                // Start random text spawning
+                this.startRandomTextSpawning();
+            }, 100);
+        }
+    }
+    
+    hideGameMenu() {
+        const gameMenu = this.getElement('gameMenu');
+        if (gameMenu) {
+            gameMenu.classList.remove('visible');
+            gameMenu.classList.add('hidden');
+        }
+        
+        clearInterval(this.textSpawnInterval);
+        this.textSpawnInterval = null;
+    }
+    
+    startRandomTextSpawning() {
+        const container = this.getElement('randomTextContainer');
+        if (!container) return;
+        
+        // Never run two spawners at once
+        clearInterval(this.textSpawnInterval);
+        this.textSpawnInterval = null;
+        if (this.reducedMotion) return;
+        
+        const spawnText = () => {
+            if (!container) return;
+            
+            const textElement = document.createElement('div');
+            textElement.className = 'random-text';
+            
+            // Real announcements take over from the decorative words whenever the feed has any
+            const announcement = this.pickAnnouncement();
+            let lifetime = 4000;
+            if (announcement) {
+                textElement.classList.add('announcement', announcement.priorityName);
+                textElement.textContent = announcement.text;
+                textElement.style.left = Math.random() * 100 + 'px';
+                lifetime = 8000;
+            } else {
+                if (Math.random() > 0.7) {
+                    textElement.classList.add('fade');
+                }
+                
+                // Looked up per word so a language switch shows up straight away
+                const techWords = this.getLocale().techWords || LOCALES.en.techWords;
+                const randomWord = techWords[Math.floor(Math.random() * techWords.length)];
+                textElement.textContent = randomWord;
+                
+                // Random position within container
+                textElement.style.left = Math.random() * 300 + 'px';
+            }
+            textElement.style.top = Math.random() * 500 + 200 + 'px';
+            
+            container.appendChild(textElement);
+            
+            // Remove element after animation
+            this.scheduleScene(() => {
+                if (textElement.parentNode) {
+                    textElement.parentNode.removeChild(textElement);
+                }
+            }, lifetime);
+        };
+        
+        // Spawn text at random intervals
+        const spawnInterval = setInterval(() => {
+            if (Math.random() > 0.4) {
+                spawnText();
+            }
+        }, 800);
+        
+        // Store interval for potential cleanup
+        this.textSpawnInterval = spawnInterval;
+    }
+    
+    setupAnnouncements(config) {
+        // Feed items: { id, text, priority: low|normal|high|urgent, starts?, expires? } (ISO dates).
+        // Polling expects { announcements: [...] }; a stream sends items (or { id, remove: true }) as they happen.
+        if (!config || !config.url) return;
+        
+        this.announcementConfig = Object.assign({ mode: 'poll', interval: 60 }, config);
+        
+        const banner = this.getElement('announcementBanner');
+        if (banner) {
+            this.listen(banner.querySelector('.announcement-dismiss'), 'click', () => {
+                this.playClickSound();
+                this.dismissAnnouncement(banner.getAttribute('data-announcement'));
+            });
+        }
+        
+        if (this.announcementConfig.mode === 'sse' && window.EventSource) {
+            this.connectAnnouncementStream();
+        } else {
+            this.startAnnouncementPolling();
+        }
+    }
+    
+    startAnnouncementPolling() {
+        clearInterval(this.announcementPollInterval);
+        this.fetchAnnouncements();
+        this.announcementPollInterval = setInterval(() => {
+            this.fetchAnnouncements();
+        }, this.announcementConfig.interval * 1000);
+    }
+    
+    fetchAnnouncements() {
+        return fetch(this.announcementConfig.url, { cache: 'no-store' })
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .then((feed) => {
+                // A polled feed is the full current list, so anything missing was withdrawn
+                this.receiveAnnouncements(feed.announcements || [], true);
+            })
+            .catch((error) => {
+                // Keep what we already have; the decorative words cover an empty feed
+                console.log('Announcement feed unavailable:', error.message);
+            });
+    }
+    
+    connectAnnouncementStream() {
+        this.announcementStream = new EventSource(this.announcementConfig.url);
+        
+        // Stream messages are single announcements or { announcements: [...] }, applied incrementally
+        this.listen(this.announcementStream, 'message', (event) => {
+            try {
+                const data = JSON.parse(event.data);
+                this.receiveAnnouncements(data.announcements || [data], false);
+            } catch (error) {
+                console.warn('Ignoring malformed announcement:', error);
+            }
+        });
+        
+        this.listen(this.announcementStream, 'error', () => {
+            // EventSource retries by itself unless the server refused outright
+            if (this.announcementStream.readyState === EventSource.CLOSED) {
+                console.log('Announcement stream closed, falling back to polling');
+                this.announcementStream = null;
+                this.startAnnouncementPolling();
+            }
+        });
+    }
+    
+    receiveAnnouncements(items, replace) {
+        const received = new Set();
+        
+        items.forEach(data => {
+            const announcement = this.normalizeAnnouncement(data);
+            if (!announcement) return;
+            
+            if (data.remove) {
+                this.announcements.delete(announcement.id);
+                return;
+            }
+            
+            // Same id (or the same text) replaces the old copy instead of doubling up
+            received.add(announcement.id);
+            this.announcements.set(announcement.id, announcement);
+        });
+        
+        if (replace) {
+            Array.from(this.announcements.keys()).forEach(id => {
+                if (!received.has(id)) {
+                    this.announcements.delete(id);
+                }
+            });
+        }
+        
+        this.updateAnnouncementBanner();
+    }
+    
+    normalizeAnnouncement(data) {
+        if (!data || (typeof data.text !== 'string' && !data.remove)) return null;
+        
+        const text = (data.text || '').trim();
+        const priorityName = this.announcementPriorities[data.priority] ? data.priority : 'normal';
+        const expires = data.expires ? Date.parse(data.expires) : null;
+        const starts = data.starts ? Date.parse(data.starts) : null;
+        
+        return {
+            id: String(data.id || text.toLowerCase()),
+            text,
+            priorityName,
+            priority: this.announcementPriorities[priorityName],
+            starts: Number.isNaN(starts) ? null : starts,
+            expires: Number.isNaN(expires) ? null : expires
+        };
+    }
+    
+    getActiveAnnouncements() {
+        const now = Date.now();
+        
+        // Drop anything past its expiry while we're here
+        this.announcements.forEach((announcement, id) => {
+            if (announcement.expires && announcement.expires <= now) {
+                this.announcements.delete(id);
+            }
+        });
+        
+        return Array.from(this.announcements.values())
+            .filter(announcement => !announcement.starts || announcement.starts <= now)
+            .sort((a, b) => b.priority - a.priority);
+    }
+    
+    pickAnnouncement() {
+        // At most one every few seconds so each can be read
+        const now = Date.now();
+        if (now - this.lastAnnouncementSpawn < 6000) return null;
+        
+        const active = this.getActiveAnnouncements();
+        if (active.length === 0) return null;
+        
+        // Weighted by priority: a high notice shows up three times as often as a low one
+        const total = active.reduce((sum, announcement) => sum + announcement.priority, 0);
+        let roll = Math.random() * total;
+        const picked = active.find(announcement => (roll -= announcement.priority) < 0) || active[0];
+        
+        this.lastAnnouncementSpawn = now;
+        return picked;
+    }
+    
+    updateAnnouncementBanner() {
+        const banner = this.getElement('announcementBanner');
+        if (!banner) return;
+        
+        // Urgent notices are pinned on screen until they expire or the visitor dismisses them.
+        // With reduced motion there are no flashing words, so every notice takes its turn here.
+        const dismissed = this.readDismissedAnnouncements();
+        const pinned = this.getActiveAnnouncements().find(announcement =>
+            (announcement.priorityName === 'urgent' || this.reducedMotion) && !dismissed.includes(announcement.id));
+        
+        if (!pinned) {
+            banner.classList.add('hidden');
+            banner.removeAttribute('data-announcement');
+            return;
+        }
+        
+        banner.setAttribute('data-announcement', pinned.id);
+        banner.querySelector('.announcement-text').textContent = pinned.text;
+        banner.classList.remove('hidden');
+        
+        // Take it down on time even if the feed goes quiet; setTimeout overflows past ~24.8 days,
+        // so far-off expiries wake up early and re-arm
+        clearTimeout(this.announcementBannerTimer);
+        if (pinned.expires) {
+            const delay = Math.min(pinned.expires - Date.now(), 2 ** 31 - 1);
+            this.announcementBannerTimer = setTimeout(() => this.updateAnnouncementBanner(), delay);
+        }
+    }
+    
+    dismissAnnouncement(id) {
+        if (!id) return;
+        
+        const dismissed = this.readDismissedAnnouncements();
+        dismissed.push(id);
+        try {
+            localStorage.setItem(this.dismissedAnnouncementsKey, JSON.stringify(dismissed.slice(-50)));
+        } catch (error) {
+            console.log('Could not save dismissed announcement:', error);
+        }
+        this.updateAnnouncementBanner();
+    }
+    
+    readDismissedAnnouncements() {
+        try {
+            return JSON.parse(localStorage.getItem(this.dismissedAnnouncementsKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    setupMenuInteractions() {
+        // Runs once after the menu and dialogs are built
+        // Menu option click handlers (one per section in the content config)
+        this.sections.forEach((section, index) => {
+            const menuItem = this.root.querySelector(`[data-option="${section.id}"]`);
+            if (menuItem) {
+                this.listen(menuItem, 'click', () => {
+                    this.playClickSound();
+                    this.selectMenuOption(index, false);
+                    this.openSectionFromMenu(section.id);
+                });
+                // Keep mouse and keyboard highlight in sync
+                this.listen(menuItem, 'mouseenter', () => {
+                    this.selectMenuOption(index, false);
+                });
+            }
+        });
+        
+        this.setupMenuKeyboard();
+        
+        // Put focus where keyboard users expect it whenever the scene settles
+        this.on('menu', () => this.focusSelectedMenuOption());
+        this.on('dialog', (event) => {
+            const dialogBox = this.root.querySelector(`#${event.dialog} .dialog-box`);
+            if (dialogBox) {
+                dialogBox.focus();
+            }
+        });
+        
+        // Dialog close button handlers
+        const closeButtons = this.root.querySelectorAll('.dialog-close');
+        closeButtons.forEach(btn => {
+            this.listen(btn, 'click', () => {
+                this.playClickSound();
+                this.closeCurrentSection();
+            });
+        });
+        
+        // Dialog overlay click handlers
+        this.sections.forEach(section => {
+            const dialogId = section.id + 'Dialog';
+            const dialogOverlay = this.getElement(dialogId);
+            if (dialogOverlay) {
+                this.listen(dialogOverlay, 'click', (e) => {
+                    if (e.target === dialogOverlay) {
+                        this.closeCurrentSection();
+                    }
+                });
+            }
+        });
+    }
+    
+    loadContent() {
+        // options.content can hand over the config object itself instead of a URL
+        const request = this.contentUrl
+            ? fetch(this.contentUrl).then((response) => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            : Promise.resolve(this.options.content);
+        
+        return request
+            .then((content) => {
+                // Unmounted while the config was on its way: start no timers, feeds or meshes
+                if (this.destroyed) return;
+                
+                this.content = content;
+                this.sections = (content.sections || [])
+                    .filter(section => !section.hidden && this.isValidSectionId(section.id))
+                    .sort((a, b) => (a.order || 0) - (b.order || 0));
+                
+                // Before the menu and dialogs, which are built in the current language
+                this.registerLocales(content.locales || []);
+                // Before the dialogs, which can list sponsors
+                this.loadSponsors(content.sponsors || [], content.sponsorTiers);
+                this.buildMenu();
+                this.buildDialogs();
+                this.setupMenuInteractions();
+                this.setupRegistrationForm();
+                this.setupProblemBrowser();
+                this.setupContactForm(content.contact);
+                this.buildSocialLinks(content.social);
+                this.setupAnalytics(content.analytics);
+                this.registerThemes(content.themes || []);
+                this.setupAnnouncements(content.announcements);
+                Object.assign(this.shots, content.shots);
+                this.loadMarkers(content.markers || []);
+                this.resolveContentReady();
+            })
+            .catch((error) => {
+                console.error('Failed to load content config:', error);
+                if (this.destroyed) return;
+                this.analytics.track('load_error', { resource: 'content', message: error.message });
+                this.showContentError();
+            });
+    }
+    
+    showContentError() {
+        // Without content there is no menu; say so where it would be and offer a retry
+        const optionsContainer = this.root.querySelector('.menu-options');
+        if (!optionsContainer) return;
+        optionsContainer.innerHTML = '';
+        
+        const message = document.createElement('div');
+        message.className = 'menu-error';
+        message.setAttribute('role', 'alert');
+        
+        const text = document.createElement('p');
+        text.setAttribute('data-i18n', 'contentError');
+        message.appendChild(text);
+        
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.className = 'menu-retry';
+        retry.setAttribute('data-i18n', 'contentRetry');
+        this.listen(retry, 'click', () => {
+            optionsContainer.innerHTML = '';
+            this.loadContent();
+        });
+        message.appendChild(retry);
+        
+        optionsContainer.appendChild(message);
+        this.translateElements(message);
+    }
+    
+    isValidSectionId(id) {
+        // Section ids end up in element ids, attributes and (later) URLs
+        const valid = typeof id === 'string' && /^[a-z][a-z0-9-]*$/i.test(id);
+        if (!valid) {
+            console.warn('Skipping section with invalid id:', id);
+        }
+        return valid;
+    }
+    
+    getSection(id) {
+        return this.sections.find(section => section.id === id) || null;
+    }
+    
+    buildMenu() {
+        const menu = this.content.menu || {};
+        const menuTitle = this.root.querySelector('.menu-title');
+        const menuYear = this.root.querySelector('.menu-year');
+        if (menuTitle && menu.title) {
+            menuTitle.textContent = menu.title;
+        }
+        if (menuYear && menu.year) {
+            menuYear.textContent = menu.year;
+        }
+        
+        const optionsContainer = this.root.querySelector('.menu-options');
+        if (!optionsContainer) return;
+        optionsContainer.innerHTML = '';
+        
+        const numbering = Object.assign({ enabled: true, start: 1, pad: 2 }, this.content.numbering);
+        
+        this.sections.forEach((section, index) => {
+            const option = document.createElement('div');
+            option.className = 'menu-option';
+            option.setAttribute('data-option', section.id);
+            option.setAttribute('role', 'menuitem');
+            option.tabIndex = index === this.selectedMenuIndex ? 0 : -1;
+            // Stagger the fade-in the same way for any number of items
+            option.style.animationDelay = (0.6 + index * 0.2).toFixed(1) + 's';
+            
+            const text = document.createElement('span');
+            text.className = 'option-text';
+            this.setLocalizedText(text, section.menuLabel || section.title);
+            option.appendChild(text);
+            
+            if (numbering.enabled) {
+                const number = document.createElement('span');
+                number.className = 'option-number';
+                number.setAttribute('aria-hidden', 'true');
+                number.textContent = section.number || String(numbering.start + index).padStart(numbering.pad, '0');
+                option.appendChild(number);
+            }
+            
+            optionsContainer.appendChild(option);
+        });
+    }
+    
+    buildDialogs() {
+        const container = this.getElement('dialogContainer');
+        if (!container) return;
+        container.innerHTML = '';
+        
+        this.sections.forEach(section => {
+            // Explore is a scene mode, not a dialog
+            if (section.type === 'explore') return;
+            container.appendChild(this.createDialog(section));
+        });
+    }
+    
+    createDialog(section) {
+        const overlay = document.createElement('div');
+        overlay.id = section.id + 'Dialog';
+        overlay.className = 'dialog-overlay hidden';
+        overlay.innerHTML = `
+            <div class="dialog-box" role="dialog" aria-modal="true" aria-labelledby="${section.id}DialogTitle" tabindex="-1">
+                <div class="dialog-header">
+                    <h3 class="dialog-title" id="${section.id}DialogTitle"></h3>
+                    <button class="dialog-close" data-dialog="${section.id}" data-i18n-label="close">&times;</button>
+                </div>
+                <div class="dialog-content"></div>
+                <div class="dialog-footer">
+                    <span class="footer-text" data-i18n="${this.isTouch ? 'dialogHintTouch' : 'dialogHint'}"></span>
+                </div>
+            </div>
+        `;
+        
+        this.setLocalizedText(overlay.querySelector('.dialog-title'), section.title);
+        this.translateElements(overlay);
+        
+        const content = overlay.querySelector('.dialog-content');
+        (section.body || []).forEach(block => {
+            const element = this.renderContentBlock(block);
+            if (element) {
+                content.appendChild(element);
+            }
+        });
+        
+        return overlay;
+    }
+    
+    renderContentBlock(block) {
+        switch(block.type) {
+            case 'paragraph': {
+                const paragraph = document.createElement('p');
+                this.setLocalizedText(paragraph, block.text);
+                return paragraph;
+            }
+            case 'heading': {
+                const heading = document.createElement('h4');
+                heading.className = 'dialog-heading';
+                this.setLocalizedText(heading, block.text);
+                return heading;
+            }
+            case 'list': {
+                const list = document.createElement(block.ordered ? 'ol' : 'ul');
+                list.className = 'dialog-list';
+                (block.items || []).forEach(item => {
+                    const listItem = document.createElement('li');
+                    this.setLocalizedText(listItem, item);
+                    list.appendChild(listItem);
+                });
+                return list;
+            }
+            case 'link': {
+                const paragraph = document.createElement('p');
+                const link = document.createElement('a');
+                link.className = 'dialog-link';
+                link.href = block.href;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                this.setLocalizedText(link, block.text || block.href);
+                paragraph.appendChild(link);
+                return paragraph;
+            }
+            case 'image': {
+                const image = document.createElement('img');
+                image.className = 'dialog-image';
+                image.src = block.src;
+                image.alt = this.localize(block.alt);
+                return image;
+            }
+            case 'table': {
+                // Handy for schedules: columns + rows of cells
+                const table = document.createElement('table');
+                table.className = 'dialog-table';
+                if (block.columns) {
+                    const headerRow = table.createTHead().insertRow();
+                    block.columns.forEach(column => {
+                        const cell = document.createElement('th');
+                        this.setLocalizedText(cell, column);
+                        headerRow.appendChild(cell);
+                    });
+                }
+                const body = table.createTBody();
+                (block.rows || []).forEach(row => {
+                    const tableRow = body.insertRow();
+                    row.forEach(value => {
+                        this.setLocalizedText(tableRow.insertCell(), value);
+                    });
+                });
+                return table;
+            }
+            case 'faq': {
+                const faq = document.createElement('div');
+                faq.className = 'dialog-faq';
+                (block.items || []).forEach(item => {
+                    const details = document.createElement('details');
+                    const summary = document.createElement('summary');
+                    const answer = document.createElement('p');
+                    this.setLocalizedText(summary, item.question);
+                    this.setLocalizedText(answer, item.answer);
+                    details.appendChild(summary);
+                    details.appendChild(answer);
+                    faq.appendChild(details);
+                });
+                return faq;
+            }
+            case 'sponsors': {
+                // Sponsors grouped by tier, from the "sponsors" list in content.json
+                const list = document.createElement('div');
+                list.className = 'dialog-sponsors';
+                Object.keys(this.sponsorTiers).forEach(tierId => {
+                    const members = this.sponsors.filter(sponsor => sponsor.tierId === tierId);
+                    if (members.length === 0) return;
+                    
+                    const heading = document.createElement('h4');
+                    heading.className = 'dialog-heading';
+                    heading.textContent = this.localize(this.sponsorTiers[tierId].label);
+                    list.appendChild(heading);
+                    
+                    const items = document.createElement('ul');
+                    items.className = 'dialog-list';
+                    members.forEach(sponsor => {
+                        const item = document.createElement('li');
+                        if (sponsor.url) {
+                            const link = document.createElement('a');
+                            link.className = 'dialog-link';
+                            link.href = sponsor.url;
+                            link.target = '_blank';
+                            link.rel = 'noopener noreferrer';
+                            link.textContent = sponsor.name;
+                            item.appendChild(link);
+                        } else {
+                            item.textContent = sponsor.name;
+                        }
+                        items.appendChild(item);
+                    });
+                    list.appendChild(items);
+                });
+                return list;
+            }
+            case 'template': {
+                // Interactive content (forms etc.) lives in a <template> in index.html
+                const template = this.getElement(block.template);
+                if (!template) {
+                    console.warn('Content template not found:', block.template);
+                    return null;
+                }
+                const fragment = template.content.cloneNode(true);
+                this.translateElements(fragment);
+                return fragment;
+            }
+            default:
+                console.warn('Unknown content block type:', block.type);
+                return null;
+        }
+    }
+    
+    setupMenuKeyboard() {
+        this.listen(document, 'keydown', (event) => {
+            if (!this.sceneState.is('menu') || this.isTypingTarget(event.target)) return;
+            // The language buttons handle their own Enter/Space
+            if (event.target.closest && event.target.closest('#languageOptions')) return;
+            
+            const options = this.getMenuOptions();
+            if (options.length === 0) return;
+            
+            switch(event.key) {
+                case 'ArrowDown':
+                    event.preventDefault();
+                    this.selectMenuOption(this.selectedMenuIndex + 1);
+                    break;
+                case 'ArrowUp':
+                    event.preventDefault();
+                    this.selectMenuOption(this.selectedMenuIndex - 1);
+                    break;
+                case 'Home':
+                    event.preventDefault();
+                    this.selectMenuOption(0);
+                    break;
+                case 'End':
+                    event.preventDefault();
+                    this.selectMenuOption(options.length - 1);
+                    break;
+                case 'Enter':
+                case ' ':
+                    event.preventDefault();
+                    this.playClickSound();
+                    this.openSectionFromMenu(this.sections[this.selectedMenuIndex].id);
+                    break;
+                case 'Escape':
+                    this.zoomOut();
+                    break;
+                default:
+                    // Number keys jump straight to an item
+                    if (/^[1-9]$/.test(event.key) && Number(event.key) <= options.length) {
+                        this.selectMenuOption(Number(event.key) - 1);
+                    }
+            }
+        });
+    }
+    
+    getMenuOptions() {
+        return Array.from(this.root.querySelectorAll('.menu-options .menu-option'));
+    }
+    
+    selectMenuOption(index, fromKeyboard = true) {
+        const options = this.getMenuOptions();
+        if (options.length === 0) return;
+        
+        // Wrap around at either end
+        const nextIndex = (index + options.length) % options.length;
+        if (fromKeyboard && nextIndex !== this.selectedMenuIndex) {
+            this.playClickSound();
+        }
+        this.selectedMenuIndex = nextIndex;
+        
+        // Roving tabindex: only the selected item is in the tab order
+        options.forEach((option, i) => {
+            option.classList.toggle('selected', i === nextIndex);
+            option.tabIndex = i === nextIndex ? 0 : -1;
+        });
+        
+        if (fromKeyboard) {
+            options[nextIndex].focus({ preventScroll: true });
+        }
+    }
+    
+    focusSelectedMenuOption() {
+        const options = this.getMenuOptions();
+        if (options.length === 0) return;
+        
+        this.selectMenuOption(Math.min(this.selectedMenuIndex, options.length - 1), false);
+        options[this.selectedMenuIndex].focus({ preventScroll: true });
+    }
+    
+    showSocialMedia() {
+        const socialMedia = this.getElement('socialMedia');
+        if (socialMedia) {
+            // Cancel a pending hide so a quick hide/show can't leave the bar hidden
+            clearTimeout(this.socialMediaTimeout);
+            socialMedia.classList.remove('hidden');
+            this.socialMediaTimeout = setTimeout(() => {
+                socialMedia.classList.add('visible');
+            }, 100);
+        }
+    }
+    
+    hideSocialMedia() {
+        const socialMedia = this.getElement('socialMedia');
+        if (socialMedia) {
+            clearTimeout(this.socialMediaTimeout);
+            socialMedia.classList.remove('visible');
+            this.socialMediaTimeout = setTimeout(() => {
+                socialMedia.classList.add('hidden');
+            }, 300);
+        }
+    }
+    
+    setupSocialMediaInteractions() {
+        const shareButton = this.getElement('shareButton');
+        const qrButton = this.getElement('qrButton');
+        
+        if (shareButton) {
+            this.listen(shareButton, 'click', () => {
+                this.playClickSound();
+                this.shareEvent();
+            });
+        }
+        if (qrButton) {
+            this.listen(qrButton, 'click', () => {
+                this.playClickSound();
+                this.showQrCode();
+            });
+        }
+        
+        // Reachable on the title screen and in the menu, out of the way everywhere else
+        this.on('change', ({ to }) => {
+            if (to === 'intro' || to === 'menu') {
+                this.showSocialMedia();
+            } else {
+                this.hideSocialMedia();
+            }
+        });
+        
+        this.setupQrOverlay();
+    }
+    
+    buildSocialLinks(config = {}) {
+        this.socialConfig = config;
+        this.qrCode = null; // The event URL may have changed
+        
+        const container = this.getElement('socialLinks');
+        const iconTemplate = this.getElement('socialIconTemplate');
+        if (!container || !iconTemplate) return;
+        
+        const icons = Array.from(iconTemplate.content.querySelectorAll('[data-icon]'));
+        container.innerHTML = '';
+        
+        (config.links || []).forEach(link => {
+            if (!link || typeof link.url !== 'string' || !/^(https?:|mailto:)/i.test(link.url)) {
+                console.warn('Skipping social link without a usable URL:', link);
+                return;
+            }
+            
+            // Unknown platforms still get a link, just with the generic icon
+            const platform = String(link.platform || 'link').toLowerCase();
+            const icon = icons.find(svg => svg.dataset.icon === platform) ||
+                icons.find(svg => svg.dataset.icon === 'link');
+            
+            const anchor = document.createElement('a');
+            anchor.className = 'social-icon';
+            anchor.href = link.url;
+            anchor.target = '_blank';
+            anchor.rel = 'noopener noreferrer';
+            anchor.dataset.platform = platform;
+            anchor.setAttribute('aria-label', this.localize(link.label) || platform);
+            if (icon) {
+                anchor.appendChild(icon.cloneNode(true));
+            }
+            this.listen(anchor, 'click', () => this.playClickSound());
+            container.appendChild(anchor);
+        });
+    }
+    
+    getEventUrl() {
+        // content.json "social.url" wins so a localhost or staging copy still shares the real site
+        return this.socialConfig.url || window.location.origin + window.location.pathname;
+    }
+    
+    shareEvent() {
+        const url = this.getEventUrl();
+        const shareData = {
+            title: this.localize(this.socialConfig.title) || document.title,
+            text: this.localize(this.socialConfig.text) || '',
+            url: url
+        };
+        
+        if (navigator.share && (!navigator.canShare || navigator.canShare(shareData))) {
+            navigator.share(shareData).catch((error) => {
+                // Dismissing the share sheet is not a failure
+                if (error.name === 'AbortError') return;
+                console.warn('Web Share failed, copying the link instead:', error);
+                this.copyEventLink(url);
+            });
+            return;
+        }
+        
+        this.copyEventLink(url);
+    }
+    
+    copyEventLink(url) {
+        const clipboardWrite = navigator.clipboard && window.isSecureContext
+            ? navigator.clipboard.writeText(url)
+            : Promise.reject(new Error('Clipboard API unavailable'));
+        
+        clipboardWrite.catch(() => {
+            // Plain http and older browsers: copy through a temporary text field
+            const previousFocus = document.activeElement;
+            const field = document.createElement('textarea');
+            field.value = url;
+            field.setAttribute('readonly', '');
+            field.className = 'clipboard-field';
+            document.body.appendChild(field);
+            field.select();
+            
+            let copied = false;
+            try {
+                copied = document.execCommand('copy');
+            } finally {
+                field.remove();
+                if (previousFocus && previousFocus.focus) {
+                    previousFocus.focus({ preventScroll: true });
+                }
+            }
+            if (!copied) {
+                throw new Error('Copy command was refused');
+            }
+        }).then(() => {
+            this.setSocialStatus(this.t('shareCopied'));
+        }).catch((error) => {
+            console.warn('Could not copy the event link:', error);
+            this.setSocialStatus(this.t('shareCopyFailed', { url }));
+        });
+    }
+    
+    setSocialStatus(message) {
+        const status = this.getElement('socialStatus');
+        if (!status) return;
+        
+        status.textContent = message;
+        status.classList.add('visible');
+        clearTimeout(this.socialStatusTimeout);
+        this.socialStatusTimeout = setTimeout(() => {
+            status.classList.remove('visible');
+        }, 4000);
+    }
+    
+    setupQrOverlay() {
+        const overlay = this.getElement('qrOverlay');
+        if (!overlay) return;
+        
+        this.listen(overlay.querySelector('.qr-close'), 'click', () => {
+            this.playClickSound();
+            this.hideQrCode();
+        });
+        this.listen(overlay, 'click', (event) => {
+            if (event.target === overlay) {
+                this.hideQrCode();
+            }
+        });
+        this.listen(overlay, 'keydown', (event) => {
+            // Keep keys away from the menu and scene shortcuts underneath
+            event.stopPropagation();
+            if (event.key === 'Escape') {
+                this.hideQrCode();
+            }
+        });
+    }
+    
+    showQrCode() {
+        const overlay = this.getElement('qrOverlay');
+        const canvas = this.getElement('qrCanvas');
+        if (!overlay || !canvas) return;
+        
+        const url = this.getEventUrl();
+        try {
+            if (!this.qrCode || this.qrCode.url !== url) {
+                this.qrCode = { url, code: new QRCode(url) };
+            }
+        } catch (error) {
+            console.error('Could not build the event QR code:', error);
+            this.setSocialStatus(this.t('qrFailed'));
+            return;
+        }
+        
+        this.drawQrCode(canvas, this.qrCode.code);
+        overlay.querySelector('.qr-url').textContent = url.replace(/^https?:\/\//, '');
+        
+        this.qrReturnFocus = document.activeElement;
+        overlay.classList.remove('hidden');
+        overlay.querySelector('.qr-close').focus({ preventScroll: true });
+    }
+    
+    hideQrCode() {
+        const overlay = this.getElement('qrOverlay');
+        if (!overlay || overlay.classList.contains('hidden')) return;
+        
+        overlay.classList.add('hidden');
+        if (this.qrReturnFocus && document.contains(this.qrReturnFocus)) {
+            this.qrReturnFocus.focus({ preventScroll: true });
+        }
+        this.qrReturnFocus = null;
+    }
+    
+    drawQrCode(canvas, code) {
+        // Whole device pixels per module keep the edges crisp on a projector
+        const quietZone = 4;
+        const modules = code.size + quietZone * 2;
+        const pixelRatio = window.devicePixelRatio || 1;
+        const available = Math.min(window.innerWidth, window.innerHeight) * 0.6 * pixelRatio;
+        const scale = Math.max(2, Math.floor(available / modules));
+        const size = modules * scale;
+        
+        canvas.width = size;
+        canvas.height = size;
+        canvas.style.width = size / pixelRatio + 'px';
+        canvas.style.height = size / pixelRatio + 'px';
+        
+        // Always dark on light, whatever the theme: scanners expect it
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, size, size);
+        context.fillStyle = '#000000';
+        for (let row = 0; row < code.size; row++) {
+            for (let col = 0; col < code.size; col++) {
+                if (code.isDark(row, col)) {
+                    context.fillRect((col + quietZone) * scale, (row + quietZone) * scale, scale, scale);
+                }
+            }
+        }
+    }
+    
+    setupAnalytics(config) {
+        // content.json "analytics": { sinks: ['console', 'buffer', 'http'], endpoint, batchSize, flushInterval }
+        if (!config) return;
+        
+        const sinks = config.sinks || [];
+        if (sinks.includes('console') || this.debugMode) {
+            this.analytics.use(this.createConsoleSink());
+        }
+        if (sinks.includes('buffer')) {
+            this.analytics.use(this.createBufferSink());
+        }
+        if (sinks.includes('http')) {
+            if (config.endpoint) {
+                this.analytics.use(this.createHttpSink(config));
+            } else {
+                console.warn('Analytics http sink needs an endpoint');
+            }
+        }
+        if (this.analytics.sinks.length === 0) return;
+        
+        this.setupConsentControls();
+        
+        let storedConsent = null;
+        try {
+            storedConsent = localStorage.getItem(this.analyticsConsentKey);
+        } catch (error) {
+            storedConsent = null;
+        }
+        
+        // A decision from an earlier visit applies straight away; otherwise ask
+        if (storedConsent === 'granted' || storedConsent === 'denied') {
+            this.analytics.setConsent(storedConsent === 'granted');
+            this.updateAnalyticsToggle();
+        } else {
+            this.showConsentBanner();
+        }
+        
+        // Last chance to send: the tab is closing or going into the background
+        this.listen(window, 'pagehide', () => this.analytics.flush(true));
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) {
+                this.analytics.flush(true);
+            }
+        });
+    }
+    
+    createConsoleSink() {
+        return {
+            name: 'console',
+            receive: (event) => console.log(`[analytics] ${event.name}`, event.properties)
+        };
+    }
+    
+    createBufferSink() {
+        // The newest events in localStorage, for debugging and the terminal's "events" command
+        return {
+            name: 'buffer',
+            receive: (event) => {
+                const buffer = this.readAnalyticsBuffer();
+                buffer.push(event);
+                try {
+                    localStorage.setItem(this.analyticsBufferKey, JSON.stringify(buffer.slice(-this.analyticsBufferSize)));
+                } catch (error) {
+                    console.log('Could not store analytics event:', error);
+                }
+            },
+            clear: () => {
+                try {
+                    localStorage.removeItem(this.analyticsBufferKey);
+                } catch (error) {
+                    console.log('Could not clear analytics buffer:', error);
+                }
+            }
+        };
+    }
+    
+    readAnalyticsBuffer() {
+        try {
+            return JSON.parse(localStorage.getItem(this.analyticsBufferKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    createHttpSink(config) {
+        const batchSize = config.batchSize || 20;
+        const queue = [];
+        
+        const send = (unloading = false) => {
+            if (queue.length === 0) return;
+            
+            const batch = queue.splice(0, queue.length);
+            const body = JSON.stringify({ events: batch });
+            
+            // sendBeacon survives the page unloading; fetch can't be relied on then
+            if (unloading && navigator.sendBeacon &&
+                navigator.sendBeacon(config.endpoint, new Blob([body], { type: 'application/json' }))) {
+                return;
+            }
+            
+            fetch(config.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: body,
+                keepalive: unloading
+            }).then((response) => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+            }).catch((error) => {
+                console.log('Analytics batch not delivered, will retry:', error.message);
+                // Back to the front of the line, without letting a dead endpoint grow it forever
+                queue.unshift(...batch);
+                if (queue.length > this.analyticsQueueLimit) {
+                    queue.splice(0, queue.length - this.analyticsQueueLimit);
+                }
+            });
+        };
+        
+        clearInterval(this.analyticsFlushInterval);
+        this.analyticsFlushInterval = setInterval(() => send(), config.flushInterval || 15000);
+        
+        return {
+            name: 'http',
+            receive: (event) => {
+                queue.push(event);
+                if (queue.length >= batchSize) {
+                    send();
+                }
+            },
+            flush: send,
+            clear: () => {
+                queue.length = 0;
+            }
+        };
+    }
+    
+    setupConsentControls() {
+        const banner = this.getElement('consentBanner');
+        if (banner) {
+            banner.querySelectorAll('[data-consent]').forEach(button => {
+                this.listen(button, 'click', () => {
+                    this.playClickSound();
+                    this.setAnalyticsConsent(button.getAttribute('data-consent') === 'granted');
+                });
+            });
+        }
+        
+        // The settings panel is where a visitor changes their mind later
+        const privacySettings = this.getElement('privacySettings');
+        const toggle = this.getElement('analyticsToggle');
+        if (privacySettings && toggle) {
+            privacySettings.hidden = false;
+            this.listen(toggle, 'click', () => {
+                this.playClickSound();
+                this.setAnalyticsConsent(this.analytics.consent !== true);
+            });
+        }
+    }
+    
+    setAnalyticsConsent(granted) {
+        try {
+            localStorage.setItem(this.analyticsConsentKey, granted ? 'granted' : 'denied');
+        } catch (error) {
+            console.log('Could not save analytics consent:', error);
+        }
+        
+        this.analytics.setConsent(granted);
+        this.hideConsentBanner();
+        this.updateAnalyticsToggle();
+    }
+    
+    showConsentBanner() {
+        const banner = this.getElement('consentBanner');
+        if (banner) {
+            banner.classList.remove('hidden');
+        }
+    }
+    
+    hideConsentBanner() {
+        const banner = this.getElement('consentBanner');
+        if (banner) {
+            banner.classList.add('hidden');
+        }
+    }
+    
+    updateAnalyticsToggle() {
+        const toggle = this.getElement('analyticsToggle');
+        if (toggle) {
+            toggle.setAttribute('aria-pressed', String(this.analytics.consent === true));
+            toggle.classList.toggle('active', this.analytics.consent === true);
+        }
+    }
+    
+    setupRouter() {
+        // popstate covers Back/Forward, hashchange covers hand-edited URLs;
+        // applyRoute() is idempotent so getting both is harmless
+        this.listen(window, 'popstate', () => this.applyRoute());
+        this.listen(window, 'hashchange', () => this.applyRoute());
+        
+        this.contentReady.then(() => this.applyRoute());
+    }
+    
+    getRoute() {
+        return window.location.hash.replace(/^#\/?/, '');
+    }
+    
+    getRouteForSection(section) {
+        return section.route || section.id;
+    }
+    
+    getSectionForRoute(route) {
+        return this.sections.find(section => this.getRouteForSection(section) === route) || null;
+    }
+    
+    openSectionFromMenu(sectionId) {
+        const section = this.getSection(sectionId);
+        if (!section || !this.sceneState.is('menu')) return;
+        
+        const hash = '#/' + this.getRouteForSection(section);
+        if (window.location.hash !== hash) {
+            // Remember the menu is one step back so closing can just go Back
+            history.pushState({ fromMenu: true }, '', hash);
+        }
+        this.applyRoute();
+    }
+    
+    closeCurrentSection() {
+        // Ignore close requests while a dialog or Explore is still fading in or out
+        if (!this.sceneState.is('dialog', 'explore')) return;
+        
+        if (history.state && history.state.fromMenu) {
+            history.back();
+        } else {
+            // Arrived via a deep link, so there's no menu entry to go back to
+            history.replaceState(null, '', '#/menu');
+            this.applyRoute();
+        }
+    }
+    
+    applyRoute() {
+        if (!this.content) return;
+        
+        // #/<section>/<item> opens a section at one of its items (e.g. a problem statement)
+        const [route, ...itemPath] = this.getRoute().split('/');
+        const item = itemPath.join('/');
+        const section = route && route !== 'menu' ? this.getSectionForRoute(route) : null;
+        
+        if (route && route !== 'menu' && !section) {
+            console.warn('Unknown route:', route);
+            history.replaceState(null, '', '#/menu');
+            this.applyRoute();
+            return;
+        }
+        
+        if (this.sceneState.is('intro')) {
+            // Deep link: fast-forward through the intro; the route is applied again once the menu is up
+            if (route) {
+                this.startGame(true);
+            }
+            return;
+        }
+        
+        // Mid-flight: the route is applied again as soon as the scene settles
+        if (!this.sceneState.is('menu', 'dialog', 'explore')) return;
+        
+        const wantsExplore = Boolean(section && section.type === 'explore');
+        const targetDialog = section && !wantsExplore ? section.id + 'Dialog' : null;
+        if (this.currentDialog === targetDialog && this.sceneState.is('explore') === wantsExplore) {
+            if (targetDialog) {
+                this.applyItemRoute(route, item);
+            }
+            return;
+        }
+        
+        if (this.sceneState.is('explore')) {
+            // Fly back first; anything else opens once we're back at the menu
+            this.exitExplore();
+            return;
+        }
+        
+        if (wantsExplore && !this.currentDialog) {
+            this.enterExplore();
+            return;
+        }
+        
+        if (this.currentDialog) {
+            // Close first; the next dialog (if any) opens once we're back at the menu
+            this.hideDialog(this.currentDialog.replace('Dialog', ''));
+            return;
+        }
+        
+        if (section) {
+            this.applyItemRoute(route, item);
+            this.showDialog(targetDialog, section.shot || section.animation);
+        }
+    }
+    
+    applyItemRoute(route, item) {
+        // Only the problem browser has items so far
+        const browser = this.getElement('problemBrowser');
+        if (!browser || !browser.closest(`#${this.getSectionForRoute(route).id}Dialog`)) return;
+        
+        if (!this.showProblem(item || null) && item) {
+            history.replaceState(history.state, '', '#/' + route);
+        }
+    }
+    
+    showDialog(dialogId, animationType) {
+        const dialog = this.getElement(dialogId);
+        if (!dialog || !this.sceneState.transition('transitioning', { dialog: dialogId })) return;
+        
+        // Hide game menu
+        const gameMenu = this.getElement('gameMenu');
+        if (gameMenu) {
+            gameMenu.style.display = 'none';
+        }
+        
+        // Store current dialog for cleanup
+        this.currentDialog = dialogId;
+        this.currentAnimation = animationType;
+        this.dialogOpenedAt = performance.now();
+        this.analytics.track('dialog_open', { section: dialogId.replace(/Dialog$/, '') });
+        
+        // Focus returns to this section's menu item when the dialog closes
+        const sectionIndex = this.sections.findIndex(section => section.id + 'Dialog' === dialogId);
+        if (sectionIndex !== -1) {
+            this.selectedMenuIndex = sectionIndex;
+        }
+        
+        // Move Earth based on the section's shot
+        this.playShot(animationType || 'center');
+        
+        // Show dialog after a short delay
+        this.scheduleScene(() => {
+            dialog.classList.remove('hidden');
+            this.scheduleScene(() => {
+                dialog.classList.add('visible');
+                
+                // Settled once the 0.5s CSS fade-in has run
+                this.scheduleScene(() => {
+                    this.sceneState.transition('dialog', { dialog: dialogId });
+                    this.applyRoute();
+                }, 500);
+            }, 50);
+        }, 500);
+        
+        // Add E key listener
+        this.addEscapeListener();
+    }
+    
+    hideDialog(dialogType) {
+        const dialogId = dialogType + 'Dialog';
+        const dialog = this.getElement(dialogId);
+        if (!dialog || !this.sceneState.transition('transitioning', { dialog: dialogId })) return;
+        
+        // Remove E key listener
+        this.removeEscapeListener();
+        this.analytics.track('dialog_close', {
+            section: dialogType,
+            seconds: Math.round((performance.now() - this.dialogOpenedAt) / 1000)
+        });
+        
+        dialog.classList.remove('visible');
+        this.scheduleScene(() => {
+            dialog.classList.add('hidden');
+            
+            // Undo any swipe-to-dismiss offset
+            const dialogBox = dialog.querySelector('.dialog-box');
+            dialogBox.style.transform = '';
+            dialogBox.style.opacity = '';
+            
+            // Show game menu again
+            const gameMenu = this.getElement('gameMenu');
+            if (gameMenu) {
+                gameMenu.style.display = '';
+            }
+            // Move Earth back to the menu shot
+            this.playShot('menu', { duration: 2.5 });
+            
+            this.currentDialog = null;
+            this.sceneState.transition('menu', { dialog: dialogId });
+            
+            // Catch up with any Back/Forward that happened mid-transition
+            this.applyRoute();
+        }, 500);
+    }
+    
+    setupExplore() {
+        const returnButton = this.getElement('exploreReturn');
+        if (returnButton) {
+            this.listen(returnButton, 'click', () => {
+                this.playClickSound();
+                this.closeCurrentSection();
+            });
+        }
+        
+        this.listen(document, 'keydown', (event) => {
+            if (!this.sceneState.is('explore') || this.isTypingTarget(event.target)) return;
+            if (event.key === 'Escape' || this.isShortcut(event, 'back')) {
+                this.playClickSound();
+                this.closeCurrentSection();
+            }
+        });
+    }
+    
+    enterExplore() {
+        if (!this.sceneState.transition('transitioning', { explore: true })) return;
+        
+        const gameMenu = this.getElement('gameMenu');
+        if (gameMenu) {
+            gameMenu.style.display = 'none';
+        }
+        this.setHoveredMarker(null);
+        
+        // Globe centred, a little further out so there is room to zoom in
+        this.playShot('explore').then((finished) => {
+            if (!finished) return;
+            
+            this.controls.minDistance = this.exploreLimits.minDistance;
+            this.controls.maxDistance = this.exploreLimits.maxDistance;
+            this.controls.enabled = true;
+            this.scheduleExploreIdle();
+            
+            this.toggleExploreHud(true);
+            this.sceneState.transition('explore');
+            this.applyRoute();
+        });
+    }
+    
+    exitExplore() {
+        if (!this.sceneState.transition('transitioning', { explore: false })) return;
+        
+        this.stopControlsMotion();
+        this.controls.minDistance = this.controlsDefaults.minDistance;
+        this.controls.maxDistance = this.controlsDefaults.maxDistance;
+        this.toggleExploreHud(false);
+        
+        this.playShot('menu', { duration: 2.5, path: 'orbit' }).then((finished) => {
+            if (!finished) return;
+            
+            const gameMenu = this.getElement('gameMenu');
+            if (gameMenu) {
+                gameMenu.style.display = '';
+            }
+            this.sceneState.transition('menu');
+            this.applyRoute();
+        });
+    }
+    
+    toggleExploreHud(visible) {
+        const hud = this.getElement('exploreHud');
+        if (!hud) return;
+        
+        if (visible) {
+            hud.classList.remove('hidden');
+            this.scheduleScene(() => hud.classList.add('visible'), 50);
+            const returnButton = this.getElement('exploreReturn');
+            if (returnButton) {
+                returnButton.focus({ preventScroll: true });
+            }
+        } else {
+            hud.classList.remove('visible');
+            hud.classList.add('hidden');
+        }
+    }
+    
+    setupTerminal() {
+        const terminal = this.getElement('terminal');
+        const form = this.getElement('terminalForm');
+        const input = this.getElement('terminalInput');
+        const toggle = this.getElement('terminalToggle');
+        if (!terminal || !form || !input) return;
         
-        // Normal atmospheric interval
-        this.voiceInterval = setInterval(() => {
-            this.maybePlayRandomVoice();
-        }, 25000); // Check every 25 seconds
+        try {
+            this.terminalHistory = JSON.parse(localStorage.getItem(this.terminalHistoryKey)) || [];
+        } catch (error) {
+            this.terminalHistory = [];
+        }
+        this.terminalHistoryIndex = this.terminalHistory.length;
+        
+        if (toggle) {
+            this.listen(toggle, 'click', () => {
+                this.playClickSound();
+                this.toggleTerminal();
+            });
+        }
+        
+        // Backtick opens it from anywhere outside a text field
+        this.listen(document, 'keydown', (event) => {
+            if (event.key === '`' && !this.isTypingTarget(event.target)) {
+                event.preventDefault();
+                this.toggleTerminal(true);
+            }
+        });
+        
+        this.listen(form, 'submit', (event) => {
+            event.preventDefault();
+            const line = input.value;
+            input.value = '';
+            this.runTerminalCommand(line);
+        });
+        
+        this.listen(input, 'keydown', (event) => {
+            // Keep Tab/Escape away from the dialog focus trap and other global keys
+            switch(event.key) {
+                case 'Tab':
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this.completeTerminalInput(input);
+                    break;
+                case 'Escape':
+                case '`':
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this.toggleTerminal(false);
+                    break;
+                case 'ArrowUp':
+                    event.preventDefault();
+                    this.browseTerminalHistory(input, -1);
+                    break;
+                case 'ArrowDown':
+                    event.preventDefault();
+                    this.browseTerminalHistory(input, 1);
+                    break;
+            }
+        });
+        
+        // Clicking the output keeps the cursor in the prompt
+        this.listen(terminal, 'click', (event) => {
+            if (!event.target.closest('a') && !window.getSelection().toString()) {
+                input.focus();
+            }
+        });
     }
     
-    maybePlayRandomVoice() {
-        const now = Date.now();
-        const timeSinceLastVoice = now - this.lastVoiceTime;
-        const randomChance = Math.random();
+    toggleTerminal(open) {
+        const terminal = this.getElement('terminal');
+        const input = this.getElement('terminalInput');
+        const toggle = this.getElement('terminalToggle');
+        if (!terminal || !input) return;
         
-        // Atmospheric settings: 60 second minimum gap, 15% chance
-        if (timeSinceLastVoice > 60000 && randomChance < 0.15) {
-            console.log('Triggering atmospheric voice...');
-            this.playRandomVoice();
+        const shouldOpen = open === undefined ? terminal.classList.contains('hidden') : open;
+        if (shouldOpen === !terminal.classList.contains('hidden')) return;
+        
+        terminal.classList.toggle('hidden', !shouldOpen);
+        if (toggle) {
+            toggle.setAttribute('aria-expanded', String(shouldOpen));
+        }
+        
+        if (shouldOpen) {
+            this.terminalReturnFocus = document.activeElement;
+            input.focus();
+            
+            if (!this.terminalBooted) {
+                this.terminalBooted = true;
+                this.printTerminal([
+                    'ASTREON UPLINK TERMINAL',
+                    'Connection established. Signal quality: NOMINAL',
+                    "Type 'help' for a list of commands."
+                ]);
+            }
+        } else {
+            this.flushTerminalTyping();
+            // Hand focus back to wherever it was (the menu item or dialog)
+            if (this.terminalReturnFocus && document.contains(this.terminalReturnFocus)) {
+                this.terminalReturnFocus.focus({ preventScroll: true });
+            }
+            this.terminalReturnFocus = null;
         }
     }
     
-    playRandomVoice() {
-        console.log(`Attempting to play random voice. Available voices: ${this.distortedVoices.length}`);
+    getTerminalCommands() {
+        const commands = {
+            help: {
+                description: 'List available commands',
+                run: () => {
+                    const list = this.getTerminalCommands();
+                    const width = Math.max(...Object.keys(list).map(name => name.length)) + 2;
+                    this.printTerminal(Object.keys(list).map(name => name.padEnd(width) + list[name].description));
+                }
+            },
+            menu: {
+                description: 'Back to the main menu',
+                run: () => this.navigateToRoute('menu')
+            },
+            time: {
+                description: 'Local, UTC and simulated sun time',
+                run: () => {
+                    const now = new Date();
+                    const lines = [
+                        'LOCAL  ' + now.toLocaleString(),
+                        'UTC    ' + now.toISOString().slice(0, 19).replace('T', ' ')
+                    ];
+                    if (this.useRealtimeSun) {
+                        lines.push('SUN    ' + this.getSimulatedTime().toISOString().slice(0, 19).replace('T', ' ') + ' (simulated)');
+                    }
+                    this.printTerminal(lines);
+                }
+            },
+            mute: {
+                description: 'Toggle all audio',
+                run: () => {
+                    this.toggleMute();
+                    this.printTerminal(this.audioSettings.muted ? 'Audio muted.' : 'Audio restored.');
+                }
+            },
+            theme: {
+                description: 'theme <name> - switch the color theme',
+                args: () => Object.keys(this.themes).filter(id => !this.themes[id].hidden),
+                run: (args) => {
+                    const themeIds = commands.theme.args();
+                    if (!args[0]) {
+                        this.printTerminal(`Current theme: ${this.themeId}. Available: ${themeIds.join(', ')}`);
+                    } else if (this.themes[args[0]]) {
+                        this.setTheme(args[0]);
+                        this.printTerminal(`Theme set to ${args[0]}.`);
+                    } else {
+                        this.printTerminal(`Unknown theme '${args[0]}'. Available: ${themeIds.join(', ')}`, { error: true });
+                    }
+                }
+            },
+            lang: {
+                description: 'lang <code> - switch the interface language',
+                args: () => Object.keys(this.locales),
+                run: (args) => {
+                    const languages = commands.lang.args();
+                    if (!args[0]) {
+                        this.printTerminal(`Current language: ${this.language}. Available: ${languages.join(', ')}`);
+                    } else if (this.locales[args[0]]) {
+                        this.setLanguage(args[0]);
+                        this.printTerminal(`Language set to ${args[0]}.`);
+                    } else {
+                        this.printTerminal(`Unknown language '${args[0]}'. Available: ${languages.join(', ')}`, { error: true });
+                    }
+                }
+            },
+            title: {
+                description: 'Return to the title screen',
+                run: () => {
+                    if (this.sceneState.is('menu')) {
+                        this.zoomOut();
+                    } else {
+                        this.printTerminal('Return to the menu first.', { error: true });
+                    }
+                }
+            },
+            qr: {
+                description: 'Show the event QR code',
+                run: () => {
+                    this.toggleTerminal(false);
+                    this.showQrCode();
+                }
+            },
+            events: {
+                description: 'Show recent analytics events',
+                run: () => {
+                    const recent = this.readAnalyticsBuffer().slice(-10);
+                    this.printTerminal(recent.length === 0
+                        ? 'No analytics events recorded.'
+                        : recent.map(event => `${event.time.slice(11, 19)}  ${event.name}  ${JSON.stringify(event.properties)}`));
+                }
+            },
+            news: {
+                description: 'Show current announcements',
+                run: () => {
+                    const active = this.getActiveAnnouncements();
+                    this.printTerminal(active.length === 0
+                        ? 'No announcements right now.'
+                        : active.map(announcement => `[${announcement.priorityName.toUpperCase()}] ${announcement.text}`));
+                }
+            },
+            clear: {
+                description: 'Clear the screen',
+                run: () => {
+                    this.flushTerminalTyping();
+                    this.root.querySelector('#terminal .terminal-output').innerHTML = '';
+                }
+            },
+            exit: {
+                description: 'Close the terminal',
+                run: () => this.toggleTerminal(false)
+            }
+        };
         
-        if (this.distortedVoices.length === 0) {
-            console.log('No distorted voices available!');
+        // One command per section, named after its route (about, problems, register, ...)
+        this.sections.forEach(section => {
+            const route = this.getRouteForSection(section);
+            commands[route] = {
+                description: `Open ${this.localize(section.menuLabel || section.title)}`,
+                run: () => {
+                    this.printTerminal(`Opening ${this.localize(section.menuLabel || section.title).toUpperCase()}...`);
+                    this.navigateToRoute(route);
+                }
+            };
+        });
+        
+        return commands;
+    }
+    
+    runTerminalCommand(line) {
+        const trimmed = line.trim();
+        this.flushTerminalTyping();
+        this.printTerminal('> ' + trimmed, { echo: true });
+        if (!trimmed) return;
+        
+        // History: skip repeats of the last command, keep the newest 50
+        if (this.terminalHistory[this.terminalHistory.length - 1] !== trimmed) {
+            this.terminalHistory.push(trimmed);
+            this.terminalHistory = this.terminalHistory.slice(-50);
+            try {
+                localStorage.setItem(this.terminalHistoryKey, JSON.stringify(this.terminalHistory));
+            } catch (error) {
+                console.log('Could not save terminal history:', error);
+            }
+        }
+        this.terminalHistoryIndex = this.terminalHistory.length;
+        
+        const [name, ...args] = trimmed.split(/\s+/);
+        const command = this.getTerminalCommands()[name.toLowerCase()];
+        if (!command) {
+            this.printTerminal(`Command not found: ${name}. Type 'help' for a list.`, { error: true });
             return;
         }
         
-        // Pick a random voice from the array
-        const randomIndex = Math.floor(Math.random() * this.distortedVoices.length);
-        const selectedVoice = this.distortedVoices[randomIndex];
+        this.playClickSound();
+        command.run(args);
+    }
+    
+    navigateToRoute(route) {
+        // Same path as the menu: the URL drives applyRoute(), which sequences the scene
+        const hash = '#/' + route;
+        if (window.location.hash !== hash) {
+            history.pushState({ fromMenu: true }, '', hash);
+        }
+        this.applyRoute();
+    }
+    
+    completeTerminalInput(input) {
+        const value = input.value.replace(/^\s+/, '');
+        const parts = value.split(/\s+/);
+        const commands = this.getTerminalCommands();
         
-        console.log(`Selected voice ${randomIndex + 1}:`, selectedVoice);
+        let candidates;
+        if (parts.length === 1) {
+            candidates = Object.keys(commands).filter(name => name.startsWith(parts[0].toLowerCase()));
+        } else {
+            // Argument completion for commands that have a fixed set (e.g. theme names)
+            const command = commands[parts[0].toLowerCase()];
+            const options = command && command.args ? command.args() : [];
+            candidates = options.filter(option => option.startsWith(parts[parts.length - 1]));
+        }
         
-        if (selectedVoice) {
-            // Reset to beginning and play
-            selectedVoice.currentTime = 0;
-            selectedVoice.play().then(() => {
-                console.log(`✓ Successfully playing distorted voice ${randomIndex + 1} for 5 seconds`);
-                this.lastVoiceTime = Date.now();
-                
-                // Stop after 5 seconds
-                setTimeout(() => {
-                    selectedVoice.pause();
-                    selectedVoice.currentTime = 0;
-                    console.log(`✓ Stopped distorted voice ${randomIndex + 1} after 5 seconds`);
-                }, 5000);
-                
-            }).catch((error) => {
-                console.error(`✗ Error playing distorted voice ${randomIndex + 1}:`, error);
+        if (candidates.length === 1) {
+            parts[parts.length - 1] = candidates[0];
+            input.value = parts.join(' ') + ' ';
+        } else if (candidates.length > 1) {
+            // Fill in the shared prefix and show the choices
+            let prefix = candidates[0];
+            candidates.forEach(candidate => {
+                while (!candidate.startsWith(prefix)) {
+                    prefix = prefix.slice(0, -1);
+                }
+            });
+            parts[parts.length - 1] = prefix;
+            input.value = parts.join(' ');
+            this.printTerminal(candidates.join('  '));
+        }
+    }
+    
+    browseTerminalHistory(input, step) {
+        if (this.terminalHistory.length === 0) return;
+        
+        this.terminalHistoryIndex = Math.min(this.terminalHistory.length, Math.max(0, this.terminalHistoryIndex + step));
+        input.value = this.terminalHistory[this.terminalHistoryIndex] || '';
+        // Cursor to the end, like a shell
+        input.setSelectionRange(input.value.length, input.value.length);
+    }
+    
+    printTerminal(lines, options = {}) {
+        const output = this.root.querySelector('#terminal .terminal-output');
+        if (!output) return;
+        
+        (Array.isArray(lines) ? lines : [lines]).forEach(text => {
+            const line = document.createElement('div');
+            line.className = 'terminal-line';
+            if (options.error) {
+                line.classList.add('error');
+            }
+            if (options.echo) {
+                line.classList.add('echo');
+            }
+            output.appendChild(line);
+            
+            // Echoed input appears at once; responses type out (unless motion is reduced)
+            if (options.echo || this.reducedMotion) {
+                line.textContent = text;
+            } else {
+                this.terminalQueue.push({ line, text });
+            }
+        });
+        
+        output.scrollTop = output.scrollHeight;
+        this.typeTerminalQueue();
+    }
+    
+    typeTerminalQueue() {
+        if (this.terminalTyping || this.terminalQueue.length === 0) return;
+        
+        const output = this.root.querySelector('#terminal .terminal-output');
+        const item = this.terminalQueue[0];
+        let typed = 0;
+        
+        this.terminalTyping = setInterval(() => {
+            typed += 2;
+            item.line.textContent = item.text.slice(0, typed);
+            output.scrollTop = output.scrollHeight;
+            
+            if (typed >= item.text.length) {
+                clearInterval(this.terminalTyping);
+                this.terminalTyping = null;
+                this.terminalQueue.shift();
+                this.typeTerminalQueue();
+            }
+        }, this.terminalTypeSpeed);
+    }
+    
+    flushTerminalTyping() {
+        // Finish every pending line at once
+        clearInterval(this.terminalTyping);
+        this.terminalTyping = null;
+        this.terminalQueue.forEach(item => {
+            item.line.textContent = item.text;
+        });
+        this.terminalQueue = [];
+    }
+    
+    on(eventName, handler) {
+        // Scene events: 'change', 'intro', 'zooming', 'menu', 'transitioning', 'dialog', 'focus', 'explore'
+        return this.sceneState.on(eventName, handler);
+    }
+    
+    scheduleScene(callback, delay) {
+        const timer = setTimeout(() => {
+            this.sceneTimers.delete(timer);
+            callback();
+        }, delay);
+        this.sceneTimers.add(timer);
+        return timer;
+    }
+    
+    cancelCameraTweens() {
+        // Stop any camera move still in flight so the next one starts from where we are
+        gsap.killTweensOf(this.camera.position);
+        gsap.killTweensOf(this.controls.target);
+        if (this.cameraFlight) {
+            this.cameraFlight.kill();
+            this.cameraFlight = null;
+        }
+        
+        // A cross-fade that hasn't jumped the camera yet must not jump it later
+        if (this.crossFadeTween) {
+            this.crossFadeTween.kill();
+            this.crossFadeTween = null;
+            const fade = this.getElement('sceneFade');
+            if (fade) {
+                gsap.to(fade, { duration: this.crossFadeDuration, opacity: 0 });
+            }
+        }
+        
+        if (this.shotResolve) {
+            const resolve = this.shotResolve;
+            this.shotResolve = null;
+            resolve(false);
+        }
+    }
+    
+    setupDialogSwipe() {
+        const container = this.getElement('dialogContainer');
+        if (!container) return;
+        
+        this.listen(container, 'touchstart', (event) => {
+            if (!this.sceneState.is('dialog') || event.touches.length !== 1) return;
+            if (this.isTypingTarget(event.target)) return;
+            
+            const box = event.target.closest('.dialog-box');
+            const content = event.target.closest('.dialog-content');
+            // Only start from the top of scrolled content, so scrolling up still works
+            if (!box || (content && content.scrollTop > 0)) return;
+            
+            const touch = event.touches[0];
+            this.swipe = { box, startX: touch.clientX, startY: touch.clientY, startTime: performance.now(), offset: 0, active: false };
+        }, { passive: true });
+        
+        this.listen(container, 'touchmove', (event) => {
+            if (!this.swipe) return;
+            
+            const touch = event.touches[0];
+            const dx = touch.clientX - this.swipe.startX;
+            const dy = touch.clientY - this.swipe.startY;
+            
+            if (!this.swipe.active) {
+                // Sideways or upward drags are scrolls, not dismissals
+                if (Math.abs(dx) > Math.abs(dy) || dy < 0) {
+                    if (Math.abs(dx) > 10 || dy < -10) {
+                        this.swipe = null;
+                    }
+                    return;
+                }
+                if (dy < 10) return;
+                this.swipe.active = true;
+                this.swipe.box.style.transition = 'none';
+            }
+            
+            event.preventDefault();
+            this.swipe.offset = Math.max(0, dy);
+            this.swipe.box.style.transform = `translateY(${this.swipe.offset}px)`;
+            this.swipe.box.style.opacity = String(Math.max(0.3, 1 - this.swipe.offset / 400));
+        }, { passive: false });
+        
+        const endSwipe = () => {
+            if (!this.swipe) return;
+            const swipe = this.swipe;
+            this.swipe = null;
+            if (!swipe.active) return;
+            
+            const velocity = swipe.offset / (performance.now() - swipe.startTime);
+            swipe.box.style.transition = '';
+            
+            if (swipe.offset > this.swipeDismissDistance || velocity > 0.6) {
+                this.playClickSound();
+                this.closeCurrentSection();
+            } else {
+                // Not far enough: spring back
+                swipe.box.style.transform = '';
+                swipe.box.style.opacity = '';
+            }
+        };
+        this.listen(container, 'touchend', endSwipe);
+        this.listen(container, 'touchcancel', endSwipe);
+    }
+    
+    addEscapeListener() {
+        this.removeEscapeListener();
+        
+        this.escapeHandler = (event) => {
+            if (!this.sceneState.is('dialog')) return;
+            
+            if (event.key === 'Tab') {
+                this.trapDialogFocus(event);
+                return;
+            }
+            
+            if (event.key === 'Escape') {
+                this.playClickSound();
+                this.closeCurrentSection();
+                return;
+            }
+            
+            // Typing an "e" into a form field must not close the dialog
+            if (this.isTypingTarget(event.target)) return;
+            
+            if (this.isShortcut(event, 'back')) {
+                this.playClickSound();
+                this.closeCurrentSection();
+            }
+        };
+        this.listen(document, 'keydown', this.escapeHandler);
+    }
+    
+    removeEscapeListener() {
+        if (this.escapeHandler) {
+            document.removeEventListener('keydown', this.escapeHandler);
+            this.escapeHandler = null;
+        }
+    }
+    
+    trapDialogFocus(event) {
+        const dialogBox = this.root.querySelector(`#${this.currentDialog} .dialog-box`);
+        if (!dialogBox) return;
+        
+        const focusable = Array.from(dialogBox.querySelectorAll(
+            'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+            'textarea:not([disabled]), summary, [tabindex]:not([tabindex="-1"])'
+        )).filter(element => element.offsetParent !== null);
+        
+        if (focusable.length === 0) {
+            event.preventDefault();
+            dialogBox.focus();
+            return;
+        }
+        
+        // Wrap Tab/Shift+Tab at the ends so focus never leaves the dialog
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        const outside = !dialogBox.contains(active) || active === dialogBox;
+        
+        if (event.shiftKey && (active === first || outside)) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (active === last || outside)) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+    
+    isTypingTarget(target) {
+        if (!target) return false;
+        const tag = target.tagName;
+        return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable;
+    }
+    
+    setupProblemBrowser() {
+        const browser = this.getElement('problemBrowser');
+        if (!browser) return;
+        
+        // Ids end up in URLs (#/problem/<id>) and judges quote them, so they must be clean
+        this.problems = (this.content.problems || []).filter(problem => {
+            const valid = Boolean(problem && problem.title && /^[a-z0-9][a-z0-9-]*$/i.test(problem.id || ''));
+            if (!valid) {
+                console.warn('Skipping problem statement without a valid id or title:', problem);
+            }
+            return valid;
+        });
+        
+        const tracks = this.getElement('problemTracks');
+        const trackNames = [''].concat(Array.from(new Set(this.problems.map(problem => problem.track).filter(Boolean))));
+        trackNames.forEach(track => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'problem-track';
+            if (track) {
+                chip.textContent = track;
+            } else {
+                chip.setAttribute('data-i18n', 'problemAll');
+                chip.textContent = this.t('problemAll');
+            }
+            chip.setAttribute('aria-pressed', String(track === this.problemFilter.track));
+            this.listen(chip, 'click', () => {
+                this.playClickSound();
+                this.problemFilter.track = track;
+                tracks.querySelectorAll('.problem-track').forEach(other => {
+                    other.setAttribute('aria-pressed', String(other === chip));
+                });
+                this.renderProblemList();
+            });
+            tracks.appendChild(chip);
+        });
+        
+        this.listen(this.getElement('problemSearch'), 'input', (event) => {
+            this.problemFilter.query = event.target.value;
+            this.renderProblemList();
+        });
+        
+        this.listen(browser.querySelector('.problem-back'), 'click', () => {
+            this.playClickSound();
+            this.selectProblem(null);
+        });
+        
+        browser.querySelectorAll('.problem-download').forEach(button => {
+            this.listen(button, 'click', () => {
+                this.playClickSound();
+                this.downloadProblem(this.currentProblem, button.getAttribute('data-format'));
+            });
+        });
+        
+        this.renderProblemList();
+    }
+    
+    renderProblemList() {
+        const list = this.getElement('problemList');
+        const count = this.getElement('problemCount');
+        if (!list) return;
+        
+        // Every search word has to appear somewhere in the problem
+        const terms = this.problemFilter.query.toLowerCase().split(/\s+/).filter(Boolean);
+        const matches = this.problems.filter(problem => {
+            if (this.problemFilter.track && problem.track !== this.problemFilter.track) return false;
+            const text = this.getProblemSearchText(problem);
+            return terms.every(term => text.includes(term));
+        });
+        
+        list.innerHTML = '';
+        matches.forEach(problem => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'problem-item';
+            button.setAttribute('data-problem', problem.id);
+            
+            const id = document.createElement('span');
+            id.className = 'problem-id';
+            id.textContent = problem.id;
+            
+            const title = document.createElement('span');
+            title.className = 'problem-item-title';
+            title.textContent = problem.title;
+            
+            const meta = document.createElement('span');
+            meta.className = 'problem-item-meta';
+            meta.textContent = [problem.track, problem.difficulty].filter(Boolean).join(' · ');
+            
+            button.appendChild(id);
+            button.appendChild(title);
+            button.appendChild(meta);
+            this.listen(button, 'click', () => {
+                this.playClickSound();
+                this.selectProblem(problem.id);
+            });
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        
+        if (count) {
+            count.textContent = matches.length > 0
+                ? this.t('problemCount', { count: matches.length, total: this.problems.length })
+                : this.t('problemNone');
+        }
+    }
+    
+    getProblemSearchText(problem) {
+        return [
+            problem.id,
+            problem.title,
+            problem.track,
+            problem.difficulty,
+            this.getProblemSponsorName(problem),
+            this.getProblemParagraphs(problem).join(' '),
+            (problem.resources || []).map(resource => resource.label || resource.url).join(' ')
+        ].join(' ').toLowerCase();
+    }
+    
+    getProblemSponsorName(problem) {
+        // sponsor may be a sponsor id from the "sponsors" list or just a name
+        const sponsor = this.sponsors.find(s => s.id === problem.sponsor);
+        return sponsor ? sponsor.name : (problem.sponsor || '');
+    }
+    
+    getProblemFacts(problem) {
+        return [
+            [this.t('problemTrack'), problem.track],
+            [this.t('problemDifficulty'), problem.difficulty],
+            [this.t('problemSponsor'), this.getProblemSponsorName(problem)]
+        ];
+    }
+    
+    getProblemParagraphs(problem) {
+        const description = problem.description || '';
+        return Array.isArray(description) ? description : description.split(/\n\s*\n/);
+    }
+    
+    selectProblem(id) {
+        this.showProblem(id);
+        
+        // Keep the address shareable without adding history entries, so closing still goes Back to the menu
+        const route = this.getRoute().split('/')[0];
+        history.replaceState(history.state, '', '#/' + route + (id ? '/' + id : ''));
+    }
+    
+    showProblem(id) {
+        const browser = this.getElement('problemBrowser');
+        if (!browser) return null;
+        
+        const problem = id ? this.problems.find(p => p.id.toLowerCase() === id.toLowerCase()) || null : null;
+        if (id && !problem) {
+            console.warn('Unknown problem statement:', id);
+        }
+        
+        const previous = this.currentProblem;
+        this.currentProblem = problem;
+        
+        const index = browser.querySelector('.problem-index');
+        const detail = this.getElement('problemDetail');
+        index.classList.toggle('hidden', Boolean(problem));
+        detail.classList.toggle('hidden', !problem);
+        
+        if (!problem) {
+            // Back to the list, on the problem we just left
+            const item = previous && browser.querySelector(`.problem-item[data-problem="${previous.id}"]`);
+            if (item) {
+                item.focus();
+            }
+            return null;
+        }
+        
+        detail.querySelector('.problem-id').textContent = problem.id;
+        detail.querySelector('.problem-title').textContent = problem.title;
+        
+        const meta = detail.querySelector('.problem-meta');
+        meta.innerHTML = '';
+        this.getProblemFacts(problem).forEach(([label, value]) => {
+            if (!value) return;
+            const entry = document.createElement('span');
+            const name = document.createElement('strong');
+            name.textContent = label + ': ';
+            entry.appendChild(name);
+            entry.appendChild(document.createTextNode(value));
+            meta.appendChild(entry);
+        });
+        
+        const description = detail.querySelector('.problem-description');
+        description.innerHTML = '';
+        this.getProblemParagraphs(problem).forEach(text => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = text;
+            description.appendChild(paragraph);
+        });
+        
+        const resources = detail.querySelector('.problem-resources');
+        resources.innerHTML = '';
+        (problem.resources || []).forEach(resource => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.className = 'dialog-link';
+            link.href = resource.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = resource.label || resource.url;
+            item.appendChild(link);
+            resources.appendChild(item);
+        });
+        detail.querySelector('.problem-resources-heading').classList.toggle('hidden', resources.children.length === 0);
+        
+        detail.focus();
+        return problem;
+    }
+    
+    getProblemMarkdown(problem) {
+        const lines = [`# ${problem.id}: ${problem.title}`, ''];
+        this.getProblemFacts(problem).forEach(([label, value]) => {
+            if (value) {
+                // Two trailing spaces keep these on separate lines
+                lines.push(`**${label}:** ${value}  `);
+            }
+        });
+        
+        this.getProblemParagraphs(problem).forEach(text => {
+            lines.push('', text);
+        });
+        
+        if (problem.resources && problem.resources.length > 0) {
+            lines.push('', `## ${this.t('problemResources')}`, '');
+            problem.resources.forEach(resource => {
+                lines.push(`- [${resource.label || resource.url}](${resource.url})`);
             });
         }
+        
+        return lines.join('\n') + '\n';
     }
     
-    createScene() {
-        this.scene = new THREE.Scene();
-        this.scene.fog = new THREE.Fog(0x000000, 250, 1400);
+    getProblemHtml(problem) {
+        const escape = (text) => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        
+        const meta = this.getProblemFacts(problem)
+            .filter(([, value]) => value)
+            .map(([label, value]) => `<li><strong>${label}:</strong> ${escape(value)}</li>`)
+            .join('\n');
+        const paragraphs = this.getProblemParagraphs(problem)
+            .map(text => `<p>${escape(text)}</p>`)
+            .join('\n');
+        const resources = (problem.resources || [])
+            .map(resource => `<li><a href="${escape(resource.url)}">${escape(resource.label || resource.url)}</a></li>`)
+            .join('\n');
+        
+        // Standalone and print-friendly: plain black on white, link targets spelled out on paper
+        return `<!DOCTYPE html>
+<html lang="${this.language}" dir="${this.getLocale().dir}">
+<head>
+<meta charset="UTF-8">
+<title>${escape(problem.id)}: ${escape(problem.title)}</title>
+<style>
+body { max-width: 720px; margin: 40px auto; padding: 0 20px; font-family: Georgia, serif; line-height: 1.5; color: #000; }
+.problem-id { font-family: monospace; letter-spacing: 2px; color: #555; }
+h1 { margin: 4px 0 16px; }
+.meta { list-style: none; padding: 0; }
+@media print { a::after { content: " (" attr(href) ")"; font-size: 0.85em; } body { margin: 0 auto; } }
+</style>
+</head>
+<body>
+<div class="problem-id">${escape(problem.id)}</div>
+<h1>${escape(problem.title)}</h1>
+<ul class="meta">
+${meta}
+</ul>
+${paragraphs}
+${resources ? `<h2>${escape(this.t('problemResources'))}</h2>\n<ul>\n${resources}\n</ul>` : ''}
+</body>
+</html>
+`;
     }
     
-    createCamera() {
-        this.camera = new THREE.PerspectiveCamera(
-            45,
-            window.innerWidth / window.innerHeight,
-            0.1,
-            2000
+    downloadProblem(problem, format) {
+        if (!problem) return;
+        
+        const markdown = format === 'markdown';
+        const blob = new Blob(
+            [markdown ? this.getProblemMarkdown(problem) : this.getProblemHtml(problem)],
+            { type: markdown ? 'text/markdown;charset=utf-8' : 'text/html;charset=utf-8' }
         );
-        this.camera.position.set(0, 0, 1000);
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${problem.id}.${markdown ? 'md' : 'html'}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
     
-    createRenderer() {
-        this.renderer = new THREE.WebGLRenderer({
-            antialias: true,
-            alpha: true
+    setupRegistrationForm() {
+        const form = this.getElement('registrationForm');
+        if (!form) return;
+        
+        const addMemberButton = this.getElement('addMemberButton');
+        if (addMemberButton) {
+            this.listen(addMemberButton, 'click', () => {
+                this.playClickSound();
+                this.addMemberFields();
+                this.scheduleDraftSave();
+            });
+        }
+        
+        // Keep a draft of everything typed so a reload doesn't lose it
+        this.listen(form, 'input', (e) => {
+            this.clearFieldError(e.target);
+            this.scheduleDraftSave();
         });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(window.devicePixelRatio);
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-        this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
-        this.renderer.toneMappingExposure = 0.6;
-        this.renderer.outputEncoding = THREE.sRGBEncoding;
+        this.listen(form, 'change', () => this.scheduleDraftSave());
+        
+        this.listen(form, 'submit', (e) => {
+            e.preventDefault();
+            this.playClickSound();
+            this.submitRegistration();
+        });
+        
+        this.restoreRegistrationDraft();
         
-        document.getElementById('canvas-container').appendChild(this.renderer.domElement);
+        // Deliver registrations queued during an earlier visit
+        this.listen(window, 'online', () => this.flushRegistrationQueue());
+        this.flushRegistrationQueue();
     }
     
-    createControls() {
-        this.controls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
-        this.controls.enableDamping = true;
-        this.controls.dampingFactor = 0.05;
-        this.controls.minDistance = 60;
-        this.controls.maxDistance = 1200;
-        this.controls.enablePan = false;
-        this.controls.autoRotate = false;
-        this.controls.autoRotateSpeed = 0.5;
+    addMemberFields(member = {}) {
+        const memberList = this.getElement('memberList');
+        const template = this.getElement('memberTemplate');
+        if (!memberList || !template) return;
+        if (memberList.children.length >= this.maxTeamSize) return;
         
-        // Disable all user interactions
-        this.controls.enabled = false;
+        const card = template.content.firstElementChild.cloneNode(true);
+        const memberId = ++this.memberCounter;
+        this.translateElements(card);
+        
+        // Give every input a unique id so its label stays clickable
+        card.querySelectorAll('[data-field]').forEach(input => {
+            const field = input.getAttribute('data-field');
+            const inputId = `member${memberId}-${field}`;
+            input.id = inputId;
+            input.value = member[field] || '';
+            
+            const label = input.parentNode.querySelector('.form-label');
+            if (label) {
+                label.setAttribute('for', inputId);
+            }
+        });
+        
+        this.listen(card.querySelector('.remove-member'), 'click', () => {
+            this.playClickSound();
+            card.remove();
+            this.updateMemberCards();
+            this.scheduleDraftSave();
+        });
+        
+        memberList.appendChild(card);
+        this.updateMemberCards();
     }
     
-    createLights() {
-        // Main directional light (Sun)
-        const sunLight = new THREE.DirectionalLight(0xffffff, 2.5);
-        sunLight.position.set(200, 0, 100);
-        sunLight.castShadow = true;
-        sunLight.shadow.mapSize.width = 2048;
-        sunLight.shadow.mapSize.height = 2048;
-        sunLight.shadow.camera.near = 0.5;
-        sunLight.shadow.camera.far = 500;
-        sunLight.shadow.camera.left = -100;
-        sunLight.shadow.camera.right = 100;
-        sunLight.shadow.camera.top = 100;
-        sunLight.shadow.camera.bottom = -100;
-        this.scene.add(sunLight);
+    updateMemberCards() {
+        const cards = this.root.querySelectorAll('#memberList .member-card');
+        cards.forEach((card, index) => {
+            card.querySelector('.member-index').textContent = String(index + 1).padStart(2, '0');
+            card.querySelector('.remove-member').disabled = cards.length <= this.minTeamSize;
+        });
         
-        // Ambient light for overall scene illumination
-        const ambientLight = new THREE.AmbientLight(0x404040, 0.3);
-        this.scene.add(ambientLight);
+        const addMemberButton = this.getElement('addMemberButton');
+        if (addMemberButton) {
+            addMemberButton.disabled = cards.length >= this.maxTeamSize;
+        }
+    }
+    
+    readRegistrationForm() {
+        const teamName = this.getElement('teamName');
+        const teamTrack = this.getElement('teamTrack');
+        const cards = this.root.querySelectorAll('#memberList .member-card');
         
-        // Rim light for atmosphere effect
-        const rimLight = new THREE.DirectionalLight(0x4d79a3, 0.8);
-        rimLight.position.set(-200, 50, -100);
-        this.scene.add(rimLight);
+        return {
+            teamName: teamName ? teamName.value.trim() : '',
+            track: teamTrack ? teamTrack.value : '',
+            members: Array.from(cards).map(card => {
+                const member = {};
+                card.querySelectorAll('[data-field]').forEach(input => {
+                    member[input.getAttribute('data-field')] = input.value.trim();
+                });
+                return member;
+            })
+        };
     }
     
-    createStarfield() {
-        const starGeometry = new THREE.BufferGeometry();
-        const starCount = 15000;
-        const positions = new Float32Array(starCount * 3);
+    validateRegistration(data) {
+        // Keys are "teamName", "track", "members" or "members.<index>.<field>"
+        const errors = {};
+        const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+        const phonePattern = /^\+?[0-9][0-9\s-]{6,18}$/;
         
-        for (let i = 0; i < starCount * 3; i += 3) {
-            positions[i] = (Math.random() - 0.5) * 2000;
-            positions[i + 1] = (Math.random() - 0.5) * 2000;
-            positions[i + 2] = (Math.random() - 0.5) * 2000;
+        if (!data.teamName) {
+            errors.teamName = this.t('errorTeamNameRequired');
+        } else if (data.teamName.length < 3) {
+            errors.teamName = this.t('errorTeamNameShort');
+        } else if (!/^[\w .-]+$/.test(data.teamName)) {
+            errors.teamName = this.t('errorTeamNameChars');
         }
         
-        starGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        if (!data.track) {
+            errors.track = this.t('errorTrack');
+        }
         
-        const starMaterial = new THREE.PointsMaterial({
-            color: 0xffffff,
-            size: 0.8,
-            sizeAttenuation: true
+        if (data.members.length < this.minTeamSize || data.members.length > this.maxTeamSize) {
+            errors.members = this.t('errorTeamSize', { min: this.minTeamSize, max: this.maxTeamSize });
+        }
+        
+        const seenEmails = new Set();
+        data.members.forEach((member, index) => {
+            const prefix = `members.${index}.`;
+            
+            if (!member.name) {
+                errors[prefix + 'name'] = this.t('errorNameRequired');
+            }
+            
+            if (!member.email) {
+                errors[prefix + 'email'] = this.t('errorEmailRequired');
+            } else if (!emailPattern.test(member.email)) {
+                errors[prefix + 'email'] = this.t('errorEmailInvalid');
+            } else if (seenEmails.has(member.email.toLowerCase())) {
+                errors[prefix + 'email'] = this.t('errorEmailDuplicate');
+            } else {
+                seenEmails.add(member.email.toLowerCase());
+            }
+            
+            if (!member.phone) {
+                errors[prefix + 'phone'] = this.t('errorPhoneRequired');
+            } else if (!phonePattern.test(member.phone)) {
+                errors[prefix + 'phone'] = this.t('errorPhoneInvalid');
+            }
+            
+            if (!member.organisation) {
+                errors[prefix + 'organisation'] = this.t('errorOrganisationRequired');
+            }
         });
         
-        this.stars = new THREE.Points(starGeometry, starMaterial);
-        this.scene.add(this.stars);
+        return errors;
     }
     
-    loadTextures() {
-        // Load all Earth textures
-        const dayTexture = this.textureLoader.load('8k_earth_daymap.jpg');
-        const nightTexture = this.textureLoader.load('8k_earth_nightmap.jpg');
-        const normalTexture = this.textureLoader.load('8k_earth_normal_map.tif');
-        const specularTexture = this.textureLoader.load('8k_earth_specular_map.tif');
-        const cloudTexture = this.textureLoader.load('8k_earth_clouds.jpg');
+    showRegistrationErrors(errors) {
+        const form = this.getElement('registrationForm');
+        if (!form) return;
         
-        // Configure texture settings for better quality
-        [dayTexture, nightTexture, normalTexture, specularTexture, cloudTexture].forEach(texture => {
-            texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-            texture.anisotropy = this.renderer.capabilities.getMaxAnisotropy();
-            texture.minFilter = THREE.LinearMipmapLinearFilter;
-            texture.magFilter = THREE.LinearFilter;
+        form.querySelectorAll('.field-error').forEach(span => {
+            span.textContent = '';
+        });
+        form.querySelectorAll('.form-input.invalid').forEach(input => {
+            input.classList.remove('invalid');
         });
         
-        this.createEarth(dayTexture, nightTexture, normalTexture, specularTexture);
-        this.createClouds(cloudTexture);
-        // Atmosphere removed - was causing thick green border
+        const cards = form.querySelectorAll('#memberList .member-card');
+        Object.keys(errors).forEach(key => {
+            let errorSpan = null;
+            let input = null;
+            
+            const memberMatch = key.match(/^members\.(\d+)\.(\w+)$/);
+            if (memberMatch) {
+                const card = cards[Number(memberMatch[1])];
+                if (card) {
+                    errorSpan = card.querySelector(`[data-error-for="${memberMatch[2]}"]`);
+                    input = card.querySelector(`[data-field="${memberMatch[2]}"]`);
+                }
+            } else {
+                errorSpan = form.querySelector(`:scope > .form-field > [data-error-for="${key}"]`);
+                input = form.querySelector(`[name="${key}"]`);
+            }
+            
+            if (errorSpan) {
+                errorSpan.textContent = errors[key];
+            }
+            if (input) {
+                input.classList.add('invalid');
+            }
+        });
     }
     
-    createEarth(dayTexture, nightTexture, normalTexture, specularTexture) {
-        const earthGeometry = new THREE.SphereGeometry(50, 128, 64);
+    clearFieldError(input) {
+        if (!input || !input.classList || !input.classList.contains('form-input')) return;
         
-        // Custom shader material for day/night cycle
-        const earthMaterial = new THREE.ShaderMaterial({
-            uniforms: {
-                dayTexture: { value: dayTexture },
-                nightTexture: { value: nightTexture },
-                normalMap: { value: normalTexture },
-                specularMap: { value: specularTexture },
-                lightDirection: { value: new THREE.Vector3(1, 0, 0.5).normalize() },
-                atmosphereColor: { value: new THREE.Color(0.3, 0.8, 0.4) }
-            },
-            vertexShader: `
-                varying vec3 vNormal;
-                varying vec2 vUv;
-                varying vec3 vPosition;
-                varying vec3 vLightVector;
-                
-                uniform vec3 lightDirection;
-                
-                void main() {
-                    vNormal = normalize(normalMatrix * normal);
-                    vUv = uv;
-                    vPosition = position;
-                    vLightVector = normalize(lightDirection);
-                    
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform sampler2D dayTexture;
-                uniform sampler2D nightTexture;
-                uniform sampler2D normalMap;
-                uniform sampler2D specularMap;
-                uniform vec3 lightDirection;
-                uniform vec3 atmosphereColor;
-                
-                varying vec3 vNormal;
-                varying vec2 vUv;
-                varying vec3 vPosition;
-                varying vec3 vLightVector;
-                
-                void main() {
-                    vec3 dayColor = texture2D(dayTexture, vUv).rgb;
-                    vec3 nightColor = texture2D(nightTexture, vUv).rgb;
-                    vec3 normal = normalize(vNormal);
-                    vec3 specular = texture2D(specularMap, vUv).rgb;
-                    
-                    // Calculate lighting
-                    float lightIntensity = dot(normal, vLightVector);
-                    lightIntensity = smoothstep(-0.1, 0.1, lightIntensity);
-                    
-                    // Convert day areas to green and white only
-                    float dayBrightness = (dayColor.r + dayColor.g + dayColor.b) / 3.0;
-                    vec3 greenDayColor = vec3(
-                        dayBrightness * 0.3,  // Low red for green tint
-                        dayBrightness * 0.9,  // High green
-                        dayBrightness * 0.5   // Medium blue for white areas
-                    );
-                    
-                    // Convert night areas to green tones too
-                    float nightBrightness = (nightColor.r + nightColor.g + nightColor.b) / 3.0;
-                    vec3 greenNightColor = vec3(
-                        nightBrightness * 0.2,  // Very low red for dark green
-                        nightBrightness * 0.7,  // Dominant green but darker than day
-                        nightBrightness * 0.3   // Low blue for slight variation
-                    );
-                    
-                    // Mix day and night textures (both now green-tinted)
-                    vec3 color = mix(greenNightColor * 0.8, greenDayColor, lightIntensity);
-                    
-                    // Add specular highlights on water (green tinted)
-                    float specularFactor = pow(max(0.0, dot(reflect(-vLightVector, normal), normalize(vPosition))), 32.0);
-                    color += specular * specularFactor * vec3(0.3, 0.8, 0.4) * 0.5;
-                    
-                    // Add atmospheric scattering (very subtle green)
-                    float fresnel = 1.0 - dot(normal, normalize(vPosition));
-                    fresnel = pow(fresnel, 5.0);
-                    vec3 greenAtmosphere = vec3(0.1, 0.3, 0.15);
-                    color = mix(color, greenAtmosphere, fresnel * 0.02);
-                    
-                    // Final color correction to eliminate any remaining blue
-                    color.r = min(color.r, color.g * 0.6);  // Cap red relative to green
-                    color.b = min(color.b, color.g * 0.7);  // Cap blue relative to green
-                    
-                    gl_FragColor = vec4(color, 1.0);
-                }
-            `
-        });
+        input.classList.remove('invalid');
+        const errorSpan = input.parentNode.querySelector('.field-error');
+        if (errorSpan) {
+            errorSpan.textContent = '';
+        }
+    }
+    
+    setRegistrationStatus(message, state) {
+        const status = this.getElement('registrationStatus');
+        if (status) {
+            status.textContent = message;
+            status.className = 'form-status' + (state ? ' ' + state : '');
+        }
+    }
+    
+    submitRegistration() {
+        if (this.isSubmittingRegistration) return;
         
-        this.earth = new THREE.Mesh(earthGeometry, earthMaterial);
-        this.earth.receiveShadow = true;
-        this.earth.castShadow = true;
+        const data = this.readRegistrationForm();
+        const errors = this.validateRegistration(data);
+        this.showRegistrationErrors(errors);
         
-        // Create Earth group for easier manipulation
-        this.earthGroup = new THREE.Group();
-        this.earthGroup.add(this.earth);
-        this.scene.add(this.earthGroup);
+        if (Object.keys(errors).length > 0) {
+            this.setRegistrationStatus(this.t('registrationFix'), 'error');
+            const firstInvalid = this.root.querySelector('#registrationForm .form-input.invalid');
+            if (firstInvalid) {
+                firstInvalid.focus();
+            }
+            return;
+        }
+        
+        const payload = Object.assign({}, data, { submittedAt: new Date().toISOString() });
+        const submitButton = this.root.querySelector('#registrationForm [type="submit"]');
+        
+        this.isSubmittingRegistration = true;
+        if (submitButton) {
+            submitButton.disabled = true;
+        }
+        this.setRegistrationStatus(this.t('registrationSending'), 'pending');
+        
+        this.postRegistration(payload).then(() => {
+            this.analytics.track('register_submit', { track: payload.track, members: payload.members.length, queued: false });
+            this.setRegistrationStatus(this.t('registrationReceived'), 'success');
+            this.resetRegistrationForm();
+        }).catch((error) => {
+            if (error.retryable) {
+                // Keep it locally and keep trying until the server accepts it
+                this.queueRegistration(payload);
+                this.analytics.track('register_submit', { track: payload.track, members: payload.members.length, queued: true });
+                this.setRegistrationStatus(this.t('registrationQueued'), 'queued');
+                this.resetRegistrationForm();
+            } else {
+                this.setRegistrationStatus(error.message, 'error');
+            }
+        }).finally(() => {
+            this.isSubmittingRegistration = false;
+            if (submitButton) {
+                submitButton.disabled = false;
+            }
+        });
     }
     
-    createClouds(cloudTexture) {
-        const cloudGeometry = new THREE.SphereGeometry(50.5, 64, 32);
-        const cloudMaterial = new THREE.MeshLambertMaterial({
-            map: cloudTexture,
-            transparent: true,
-            opacity: 0.4,
-            blending: THREE.AdditiveBlending
+    postRegistration(payload) {
+        return fetch(this.registrationEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        }).catch(() => {
+            const error = new Error('Network error while sending registration');
+            error.retryable = true;
+            throw error;
+        }).then((response) => {
+            if (response.ok) return response;
+            
+            const error = new Error(this.t('registrationRejected', { status: response.status }));
+            error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw error;
         });
-        
-        this.clouds = new THREE.Mesh(cloudGeometry, cloudMaterial);
-        this.earthGroup.add(this.clouds);
     }
     
-    // createAtmosphere() method removed - was causing thick green border
+    readRegistrationQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(this.registrationQueueKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    writeRegistrationQueue(queue) {
+        try {
+            if (queue.length > 0) {
+                localStorage.setItem(this.registrationQueueKey, JSON.stringify(queue));
+            } else {
+                localStorage.removeItem(this.registrationQueueKey);
+            }
+        } catch (error) {
+            console.log('Could not persist registration queue:', error);
+        }
+    }
+    
+    queueRegistration(payload) {
+        const queue = this.readRegistrationQueue();
+        queue.push(payload);
+        this.writeRegistrationQueue(queue);
+        this.startRegistrationRetry();
+    }
     
-    setupEventListeners() {
-        // Window resize
-        window.addEventListener('resize', () => this.onWindowResize());
+    startRegistrationRetry() {
+        if (this.registrationRetryInterval) return;
         
-        // Start experience controls
-        this.setupStartExperience();
+        this.registrationRetryInterval = setInterval(() => {
+            this.flushRegistrationQueue();
+        }, 30000); // Retry every 30 seconds
     }
     
-    zoomToPlanet() {
-        // Calculate how far right to look to put Earth on the left side
-        const aspect = window.innerWidth / window.innerHeight;
-        const fov = this.camera.fov * Math.PI / 180;
-        const distance = 160;
-        
-        // Calculate the right offset for the camera target
-        const rightLookOffset = Math.tan(fov / 2) * distance * aspect;
-        
-        // Animate camera position to zoom distance
-        gsap.to(this.camera.position, {
-            duration: 3,
-            z: distance,
-            x: 0,
-            y: 0,
-            ease: "power2.inOut"
-        });
-        
-        // Animate the controls target to look right (Earth moves left)
-        gsap.to(this.controls.target, {
-            duration: 3,
-            x: rightLookOffset,
-            y: 0,
-            z: 0,
-            ease: "power2.inOut",
-            onUpdate: () => {
-                this.controls.update();
-            },
-            onComplete: () => {
-                // Show the game menu after zoom completes
-                this.showGameMenu();
+    stopRegistrationRetry() {
+        if (this.registrationRetryInterval) {
+            clearInterval(this.registrationRetryInterval);
+            this.registrationRetryInterval = null;
+        }
+    }
+    
+    flushRegistrationQueue() {
+        if (this.isFlushingRegistrations) return Promise.resolve();
+        
+        // Send oldest first and stop at the first one that still can't get through
+        const sendNext = () => {
+            const queue = this.readRegistrationQueue();
+            if (queue.length === 0) {
+                this.stopRegistrationRetry();
+                return Promise.resolve();
             }
+            
+            return this.postRegistration(queue[0]).then(() => {
+                this.writeRegistrationQueue(this.readRegistrationQueue().slice(1));
+                console.log('Queued registration delivered');
+                this.setRegistrationStatus(this.t('registrationDelivered'), 'success');
+                return sendNext();
+            }).catch((error) => {
+                if (error.retryable) {
+                    this.startRegistrationRetry();
+                    return;
+                }
+                
+                // The server will never accept this one, so don't retry it forever
+                console.error('Dropping rejected queued registration:', error);
+                this.writeRegistrationQueue(this.readRegistrationQueue().slice(1));
+                this.setRegistrationStatus(error.message, 'error');
+                return sendNext();
+            });
+        };
+        
+        this.isFlushingRegistrations = true;
+        return sendNext().finally(() => {
+            this.isFlushingRegistrations = false;
         });
     }
     
-    zoomOut() {
-        // Animate camera position back to distant view
-        gsap.to(this.camera.position, {
-            duration: 3,
-            z: 1000,
-            x: 0,
-            y: 0,
-            ease: "power2.inOut"
-        });
+    scheduleDraftSave() {
+        clearTimeout(this.draftSaveTimeout);
+        this.draftSaveTimeout = setTimeout(() => {
+            this.saveRegistrationDraft();
+        }, 400);
+    }
+    
+    saveRegistrationDraft() {
+        try {
+            localStorage.setItem(this.registrationDraftKey, JSON.stringify(this.readRegistrationForm()));
+        } catch (error) {
+            console.log('Could not save registration draft:', error);
+        }
+    }
+    
+    restoreRegistrationDraft() {
+        let draft = null;
+        try {
+            draft = JSON.parse(localStorage.getItem(this.registrationDraftKey));
+        } catch (error) {
+            draft = null;
+        }
+        
+        if (draft) {
+            const teamName = this.getElement('teamName');
+            const teamTrack = this.getElement('teamTrack');
+            if (teamName) {
+                teamName.value = draft.teamName || '';
+            }
+            if (teamTrack) {
+                teamTrack.value = draft.track || '';
+            }
+            (draft.members || []).forEach(member => this.addMemberFields(member));
+        }
+        
+        // Always show at least the minimum team size
+        while (this.root.querySelectorAll('#memberList .member-card').length < this.minTeamSize) {
+            this.addMemberFields();
+        }
+    }
+    
+    resetRegistrationForm() {
+        const form = this.getElement('registrationForm');
+        const memberList = this.getElement('memberList');
+        if (form) {
+            form.reset();
+        }
+        if (memberList) {
+            memberList.innerHTML = '';
+        }
         
-        // Reset the controls target back to center (Earth moves back to center)
-        gsap.to(this.controls.target, {
-            duration: 3,
-            x: 0,
-            y: 0,
-            z: 0,
-            ease: "power2.inOut",
-            onUpdate: () => {
-                this.controls.update();
-            }
-        });
+        clearTimeout(this.draftSaveTimeout);
+        try {
+            localStorage.removeItem(this.registrationDraftKey);
+        } catch (error) {
+            console.log('Could not clear registration draft:', error);
+        }
+        
+        this.showRegistrationErrors({});
+        this.restoreRegistrationDraft();
     }
     
-    setupStartExperience() {
-        const startText = document.getElementById('startText');
+    setupContactForm(config = {}) {
+        const form = this.getElement('contactForm');
+        if (!form) return;
         
-        // Show social media icons in initial frame
-        this.showSocialMedia();
-        this.setupSocialMediaInteractions();
+        // content.json "contact": { endpoint, email } - email powers the mailto: fallback
+        this.contactEndpoint = config.endpoint || this.contactEndpoint;
+        this.contactEmail = config.email || '';
+        this.contactFormOpenedAt = Date.now();
         
-        // Add temporary test key for voices (V key)
-        document.addEventListener('keydown', (event) => {
-            if (event.key.toLowerCase() === 'v') {
-                console.log('Manual voice test triggered!');
-                this.playRandomVoice();
-            }
+        this.listen(form, 'input', (e) => {
+            this.clearFieldError(e.target);
+            this.updateContactMailto();
         });
+        this.listen(form, 'change', () => this.updateContactMailto());
         
-        // Handle Enter key press
-        document.addEventListener('keydown', (event) => {
-            if (event.code === 'Enter' && !this.hasStarted) {
-                this.startGame();
-            }
+        this.listen(form, 'submit', (e) => {
+            e.preventDefault();
+            this.playClickSound();
+            this.submitContact();
         });
         
-        // Handle click on start text
-        if (startText) {
-            startText.addEventListener('click', () => {
-                if (!this.hasStarted) {
-                    this.startGame();
-                }
-            });
-        }
+        this.updateContactMailto();
+        
+        // Deliver messages queued during an earlier visit
+        this.listen(window, 'online', () => this.flushContactQueue());
+        this.flushContactQueue();
     }
     
-    startGame() {
-        this.playClickSound();
-        this.hasStarted = true;
-        const startText = document.getElementById('startText');
-        const titleContainer = document.getElementById('titleContainer');
+    readContactForm() {
+        const form = this.getElement('contactForm');
+        const value = (name) => {
+            const field = form ? form.elements[name] : null;
+            return field ? field.value.trim() : '';
+        };
         
-        // Hide all UI elements (title, year, start button, and social media)
-        if (startText) {
-            startText.classList.add('hidden');
+        return {
+            name: value('name'),
+            email: value('email'),
+            category: value('category'),
+            message: value('message'),
+            // Honeypot: hidden from people, but bots fill in every field they find
+            website: value('website')
+        };
+    }
+    
+    validateContact(data) {
+        const errors = {};
+        const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+        
+        if (!data.name) {
+            errors.name = this.t('errorNameRequired');
         }
-        if (titleContainer) {
-            titleContainer.classList.add('hidden');
+        
+        if (!data.email) {
+            errors.email = this.t('errorEmailRequired');
+        } else if (!emailPattern.test(data.email)) {
+            errors.email = this.t('errorEmailInvalid');
         }
-        // Permanently hide social media icons after start
-        const socialMedia = document.getElementById('socialMedia');
-        if (socialMedia) {
-            socialMedia.style.display = 'none';
+        
+        if (!data.category) {
+            errors.category = this.t('errorContactCategory');
         }
         
-        // Trigger zoom to planet animation
-        setTimeout(() => {
-            this.zoomToPlanet();
-        }, 300);
+        if (data.message.length < this.contactMinLength) {
+            errors.message = this.t('errorContactMessage', { min: this.contactMinLength });
+        }
+        
+        return errors;
     }
     
-    showGameMenu() {
-        const gameMenu = document.getElementById('gameMenu');
-        if (gameMenu) {
-            // Remove hidden class and add visible class for smooth fade-in
-            gameMenu.classList.remove('hidden');
-            setTimeout(() => {
-                gameMenu.classList.add('visible');
-                // Start random text spawning
-                this.startRandomTextSpawning();
-                // Setup menu interactions
-                this.setupMenuInteractions();
-            }, 100);
+    showContactErrors(errors) {
+        const form = this.getElement('contactForm');
+        if (!form) return;
+        
+        form.querySelectorAll('.field-error').forEach(span => {
+            span.textContent = '';
+        });
+        form.querySelectorAll('.form-input.invalid').forEach(input => {
+            input.classList.remove('invalid');
+        });
+        
+        Object.keys(errors).forEach(key => {
+            const errorSpan = form.querySelector(`[data-error-for="${key}"]`);
+            const input = form.querySelector(`[name="${key}"]`);
+            if (errorSpan) {
+                errorSpan.textContent = errors[key];
+            }
+            if (input) {
+                input.classList.add('invalid');
+            }
+        });
+    }
+    
+    setContactStatus(message, state) {
+        const status = this.getElement('contactStatus');
+        if (status) {
+            status.textContent = message;
+            status.className = 'form-status' + (state ? ' ' + state : '');
         }
     }
     
-    startRandomTextSpawning() {
-        const container = document.getElementById('randomTextContainer');
-        if (!container) return;
+    submitContact() {
+        if (this.isSubmittingContact) return;
         
-        const techWords = [
-            'INITIALIZE', 'PROTOCOL', 'MATRIX', 'VECTOR', 'QUANTUM',
-            'NEURAL', 'SYSTEM', 'BINARY', 'CODE', 'DATA',
-            'CYBER', 'DIGITAL', 'STREAM', 'FLUX', 'NEXUS',
-            'ORBIT', 'PLASMA', 'LASER', 'SIGNAL', 'CORE',
-            'ALPHA', 'BETA', 'GAMMA', 'DELTA', 'OMEGA',
-            'ERROR', 'LOADING', 'PROCESS', 'EXECUTE', 'RUN'
-        ];
+        const data = this.readContactForm();
+        const errors = this.validateContact(data);
+        this.showContactErrors(errors);
         
-        const spawnText = () => {
-            if (!container) return;
-            
-            const textElement = document.createElement('div');
-            textElement.className = 'random-text';
-            if (Math.random() > 0.7) {
-                textElement.classList.add('fade');
+        if (Object.keys(errors).length > 0) {
+            this.setContactStatus(this.t('registrationFix'), 'error');
+            const firstInvalid = this.root.querySelector('#contactForm .form-input.invalid');
+            if (firstInvalid) {
+                firstInvalid.focus();
             }
-            
-            const randomWord = techWords[Math.floor(Math.random() * techWords.length)];
-            textElement.textContent = randomWord;
-            
-            // Random position within container
-            textElement.style.left = Math.random() * 300 + 'px';
-            textElement.style.top = Math.random() * 500 + 200 + 'px';
-            
-            container.appendChild(textElement);
-            
-            // Remove element after animation
-            setTimeout(() => {
-                if (textElement.parentNode) {
-                    textElement.parentNode.removeChild(textElement);
-                }
-            }, 4000);
-        };
+            return;
+        }
         
-        // Spawn text at random intervals
-        const spawnInterval = setInterval(() => {
-            if (Math.random() > 0.4) {
-                spawnText();
-            }
-        }, 800);
+        // Bots fill the honeypot or submit within moments of the form appearing;
+        // act as if it worked so they have nothing to learn from
+        if (data.website || Date.now() - this.contactFormOpenedAt < this.contactMinFillTime) {
+            console.log('Contact form submission dropped as likely spam');
+            this.setContactStatus(this.t('contactSent'), 'success');
+            this.resetContactForm();
+            return;
+        }
         
-        // Store interval for potential cleanup
-        this.textSpawnInterval = spawnInterval;
-    }
-    
-    setupMenuInteractions() {
-        // Menu option click handlers
-        const menuOptions = {
-            '2': { dialog: 'aboutDialog', animation: 'right' },           // About Us -> left to right
-            '3': { dialog: 'problemDialog', animation: 'top' },           // Problem Statements -> left to top
-            '4': { dialog: 'contactDialog', animation: 'bottom' },        // Contact Us -> left to bottom
-            '5': { dialog: 'sponsorsDialog', animation: 'bottomRight' }   // Sponsors -> left to bottom-right
+        const waitMinutes = this.getContactWait();
+        if (waitMinutes > 0) {
+            this.setContactStatus(this.t('contactRateLimited', { minutes: waitMinutes }), 'error');
+            return;
+        }
+        
+        const payload = {
+            name: data.name,
+            email: data.email,
+            category: data.category,
+            message: data.message,
+            language: this.language,
+            submittedAt: new Date().toISOString()
         };
+        const submitButton = this.root.querySelector('#contactForm [type="submit"]');
         
-        Object.keys(menuOptions).forEach(option => {
-            const menuItem = document.querySelector(`[data-option="${option}"]`);
-            if (menuItem) {
-                menuItem.addEventListener('click', () => {
-                    this.playClickSound();
-                    this.showDialog(menuOptions[option].dialog, menuOptions[option].animation);
-                });
+        this.isSubmittingContact = true;
+        if (submitButton) {
+            submitButton.disabled = true;
+        }
+        this.recordContactSend();
+        this.setContactStatus(this.t('contactSending'), 'pending');
+        
+        this.postContact(payload).then(() => {
+            this.analytics.track('contact_submit', { category: payload.category, queued: false });
+            this.setContactStatus(this.t('contactSent'), 'success');
+            this.resetContactForm();
+        }).catch((error) => {
+            if (error.retryable) {
+                // Keep it locally and keep trying until the server accepts it
+                this.queueContactMessage(payload);
+                this.analytics.track('contact_submit', { category: payload.category, queued: true });
+                this.setContactStatus(this.t('contactQueued'), 'queued');
+                this.resetContactForm();
+            } else {
+                // Leave the form filled in so the mailto: link carries the message
+                this.setContactStatus(error.message, 'error');
+            }
+        }).finally(() => {
+            this.isSubmittingContact = false;
+            if (submitButton) {
+                submitButton.disabled = false;
             }
         });
-        
-        // Dialog close button handlers
-        const closeButtons = document.querySelectorAll('.dialog-close');
-        closeButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                this.playClickSound();
-                const dialogType = btn.getAttribute('data-dialog');
-                this.hideDialog(dialogType);
-            });
+    }
+    
+    postContact(payload) {
+        return fetch(this.contactEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        }).catch(() => {
+            const error = new Error('Network error while sending contact message');
+            error.retryable = true;
+            throw error;
+        }).then((response) => {
+            if (response.ok) return response;
+            
+            const error = new Error(this.t('contactRejected', { status: response.status }));
+            error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw error;
         });
+    }
+    
+    getContactWait() {
+        // Minutes until another message is allowed (0 = go ahead)
+        const now = Date.now();
+        const recent = this.readContactSends().filter(time => now - time < this.contactRateWindow);
+        if (recent.length < this.contactRateLimit) return 0;
+        return Math.ceil((recent[0] + this.contactRateWindow - now) / 60000);
+    }
+    
+    readContactSends() {
+        try {
+            return JSON.parse(localStorage.getItem(this.contactSendsKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    recordContactSend() {
+        const now = Date.now();
+        const sends = this.readContactSends().filter(time => now - time < this.contactRateWindow);
+        sends.push(now);
+        try {
+            localStorage.setItem(this.contactSendsKey, JSON.stringify(sends));
+        } catch (error) {
+            console.log('Could not record contact message time:', error);
+        }
+    }
+    
+    updateContactMailto() {
+        const link = this.getElement('contactMailto');
+        if (!link) return;
         
-        // Dialog overlay click handlers
-        const dialogs = ['aboutDialog', 'problemDialog', 'contactDialog', 'sponsorsDialog'];
-        dialogs.forEach(dialogId => {
-            const dialogOverlay = document.getElementById(dialogId);
-            if (dialogOverlay) {
-                dialogOverlay.addEventListener('click', (e) => {
-                    if (e.target === dialogOverlay) {
-                        const dialogType = dialogId.replace('Dialog', '');
-                        this.hideDialog(dialogType);
-                    }
-                });
-            }
-        });
+        link.hidden = !this.contactEmail;
+        if (!this.contactEmail) return;
+        
+        // Carry whatever has been typed so far over to the mail app
+        const data = this.readContactForm();
+        const subject = `[Astreon] ${data.category || 'Contact'}`;
+        const body = data.message + (data.name ? `\n\n${data.name}` : '');
+        link.href = `mailto:${this.contactEmail}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
     }
     
-    showSocialMedia() {
-        const socialMedia = document.getElementById('socialMedia');
-        if (socialMedia) {
-            socialMedia.classList.remove('hidden');
-            setTimeout(() => {
-                socialMedia.classList.add('visible');
-            }, 100);
+    readContactQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(this.contactQueueKey)) || [];
+        } catch (error) {
+            return [];
         }
     }
     
-    hideSocialMedia() {
-        const socialMedia = document.getElementById('socialMedia');
-        if (socialMedia) {
-            socialMedia.classList.remove('visible');
-            setTimeout(() => {
-                socialMedia.classList.add('hidden');
-            }, 300);
+    writeContactQueue(queue) {
+        try {
+            if (queue.length > 0) {
+                localStorage.setItem(this.contactQueueKey, JSON.stringify(queue));
+            } else {
+                localStorage.removeItem(this.contactQueueKey);
+            }
+        } catch (error) {
+            console.log('Could not persist contact queue:', error);
         }
     }
     
-    setupSocialMediaInteractions() {
-        const socialIcons = document.querySelectorAll('.social-icon');
-        socialIcons.forEach(icon => {
-            icon.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.playClickSound();
-                
-                const platform = icon.getAttribute('data-platform');
-                console.log(`${platform} icon clicked`);
-                
-                // You can add actual social media links here
-                // For now, just providing feedback
-                switch(platform) {
-                    case 'instagram':
-                        // window.open('https://instagram.com/yourpage', '_blank');
-                        break;
-                    case 'linkedin':
-                        // window.open('https://linkedin.com/company/yourcompany', '_blank');
-                        break;
-                    case 'discord':
-                        // window.open('https://discord.gg/yourserver', '_blank');
-                        break;
+    queueContactMessage(payload) {
+        const queue = this.readContactQueue();
+        queue.push(payload);
+        this.writeContactQueue(queue);
+        this.startContactRetry();
+    }
+    
+    startContactRetry() {
+        if (this.contactRetryInterval) return;
+        
+        this.contactRetryInterval = setInterval(() => {
+            this.flushContactQueue();
+        }, 30000); // Retry every 30 seconds
+    }
+    
+    stopContactRetry() {
+        if (this.contactRetryInterval) {
+            clearInterval(this.contactRetryInterval);
+            this.contactRetryInterval = null;
+        }
+    }
+    
+    flushContactQueue() {
+        if (this.isFlushingContact) return Promise.resolve();
+        
+        // Send oldest first and stop at the first one that still can't get through
+        const sendNext = () => {
+            const queue = this.readContactQueue();
+            if (queue.length === 0) {
+                this.stopContactRetry();
+                return Promise.resolve();
+            }
+            
+            return this.postContact(queue[0]).then(() => {
+                this.writeContactQueue(this.readContactQueue().slice(1));
+                console.log('Queued contact message delivered');
+                this.setContactStatus(this.t('contactDelivered'), 'success');
+                return sendNext();
+            }).catch((error) => {
+                if (error.retryable) {
+                    this.startContactRetry();
+                    return;
                 }
+                
+                // The server will never accept this one, so don't retry it forever
+                console.error('Dropping rejected queued contact message:', error);
+                this.writeContactQueue(this.readContactQueue().slice(1));
+                this.setContactStatus(error.message, 'error');
+                return sendNext();
             });
+        };
+        
+        this.isFlushingContact = true;
+        return sendNext().finally(() => {
+            this.isFlushingContact = false;
         });
     }
     
-    showDialog(dialogId, animationType) {
-        // Hide game menu
-        const gameMenu = document.getElementById('gameMenu');
-        if (gameMenu) {
-            gameMenu.style.display = 'none';
+    resetContactForm() {
+        const form = this.getElement('contactForm');
+        if (form) {
+            form.reset();
         }
+        this.contactFormOpenedAt = Date.now();
+        this.showContactErrors({});
+        this.updateContactMailto();
+    }
+    
+    onWindowResize() {
+        const { width, height } = this.getViewportSize();
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
         
-        // Store current dialog for cleanup
-        this.currentDialog = dialogId;
-        this.currentAnimation = animationType;
-        
-        // Move Earth based on animation type
-        this.moveEarthTo(animationType);
-        
-        // Show dialog after a short delay
-        setTimeout(() => {
-            const dialog = document.getElementById(dialogId);
-            if (dialog) {
-                dialog.classList.remove('hidden');
-                setTimeout(() => {
-                    dialog.classList.add('visible');
-                }, 50);
-            }
-        }, 500);
+        // Reframe once the resize/rotation has settled
+        clearTimeout(this.resizeTimer);
+        this.resizeTimer = setTimeout(() => this.updateLayoutMode(), 150);
+    }
+    
+    updateLayoutMode() {
+        this.layoutMode = this.getLayoutMode();
+        this.root.classList.toggle('layout-portrait', this.layoutMode === 'portrait');
         
-        // Add E key listener
-        this.addEscapeListener();
+        // Shots depend on the aspect ratio, so settled scenes snap to the new framing
+        if (this.sceneState.is('intro', 'menu', 'dialog') && this.earth) {
+            this.playShot(this.currentShot, { instant: true });
+        }
     }
     
-    hideDialog(dialogType) {
-        const dialogId = dialogType + 'Dialog';
-        const dialog = document.getElementById(dialogId);
-        if (dialog) {
-            dialog.classList.remove('visible');
-            setTimeout(() => {
-                dialog.classList.add('hidden');
-                // Show game menu again
-                const gameMenu = document.getElementById('gameMenu');
-                if (gameMenu) {
-                    gameMenu.style.display = '';
-                }
-                // Move Earth back to left
-                this.moveEarthToLeft();
-            }, 500);
+    setupRenderScheduler() {
+        const params = new URLSearchParams(window.location.search);
+        this.debugMode = params.has('debug');
+        
+        // ?fps=30 caps the frame rate further, e.g. on the projector machine
+        const fps = Number(params.get('fps'));
+        if (fps > 0) {
+            this.maxFps = fps;
         }
         
-        // Remove E key listener
-        this.removeEscapeListener();
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseExperience();
+            } else {
+                this.resumeExperience();
+            }
+        });
+        
+        if (this.debugMode) {
+            const overlay = this.getElement('debugOverlay');
+            if (overlay) {
+                overlay.classList.remove('hidden');
+            }
+        }
     }
     
-    addEscapeListener() {
-        this.escapeHandler = (event) => {
-            if (event.key.toLowerCase() === 'e') {
-                this.playClickSound();
-                if (this.currentDialog) {
-                    const dialogType = this.currentDialog.replace('Dialog', '');
-                    this.hideDialog(dialogType);
-                }
-            }
-        };
-        document.addEventListener('keydown', this.escapeHandler);
+    pauseExperience() {
+        if (this.isPaused) return;
+        this.isPaused = true;
+        
+        // Nobody is watching: stop rendering and the ambient timers
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        
+        this.voicesPaused = Boolean(this.voiceInterval);
+        clearInterval(this.voiceInterval);
+        this.voiceInterval = null;
+        
+        this.textSpawnPaused = Boolean(this.textSpawnInterval);
+        clearInterval(this.textSpawnInterval);
+        this.textSpawnInterval = null;
+        
+        // Polling can wait; a live stream stays open so pushed notices aren't missed
+        clearInterval(this.announcementPollInterval);
+        this.announcementPollInterval = null;
+        
+        console.log('Tab hidden, experience paused');
     }
     
-    removeEscapeListener() {
-        if (this.escapeHandler) {
-            document.removeEventListener('keydown', this.escapeHandler);
-            this.escapeHandler = null;
+    resumeExperience() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        
+        if (this.voicesPaused) {
+            this.startRandomVoiceSystem();
         }
+        if (this.textSpawnPaused) {
+            this.startRandomTextSpawning();
+        }
+        if (this.announcementConfig && !this.announcementStream) {
+            this.startAnnouncementPolling();
+        }
+        
+        this.lastFrameTime = performance.now();
+        this.lastRenderTime = this.lastFrameTime;
+        this.animate();
+        console.log('Tab visible, experience resumed');
     }
     
-    moveEarthTo(direction) {
-        const aspect = window.innerWidth / window.innerHeight;
-        const fov = this.camera.fov * Math.PI / 180;
-        const distance = 160;
+    measureFrame(frameTime, workTime) {
+        // Long gaps (tab switches, breakpoints) say nothing about the device
+        if (frameTime > 250) return;
         
-        let targetX = 0, targetY = 0;
+        this.averageFrameTime += (frameTime - this.averageFrameTime) * 0.05;
+        this.averageWorkTime += (workTime - this.averageWorkTime) * 0.05;
+        const budget = 1000 / this.maxFps;
         
-        switch(direction) {
-            case 'right':
-                // About Us: left to right
-                targetX = -Math.tan(fov / 2) * distance * aspect * 0.8;
-                targetY = 0;
-                break;
-            case 'top':
-                // Problem Statements: left to top
-                targetX = Math.tan(fov / 2) * distance * aspect * 0.6;
-                targetY = Math.tan(fov / 2) * distance * 0.8;
-                break;
-            case 'bottom':
-                // Contact Us: left to bottom
-                targetX = Math.tan(fov / 2) * distance * aspect * 0.6;
-                targetY = -Math.tan(fov / 2) * distance * 0.8;
-                break;
-            case 'bottomRight':
-                // Sponsors: left to bottom-right
-                targetX = -Math.tan(fov / 2) * distance * aspect * 0.6;
-                targetY = -Math.tan(fov / 2) * distance * 0.6;
-                break;
-            default:
-                targetX = 0;
-                targetY = 0;
+        // Judge the device by the cost of update + render, not by the gap between
+        // frames, which the cap and the display refresh rate stretch on their own
+        if (this.averageWorkTime > budget * 1.25) {
+            this.slowFrameTime += frameTime;
+            this.fastFrameTime = 0;
+        } else {
+            this.fastFrameTime += frameTime;
+            this.slowFrameTime = 0;
         }
         
-        // Animate the controls target
-        gsap.to(this.controls.target, {
-            duration: 2.5,
-            x: targetX,
-            y: targetY,
-            z: 0,
-            ease: "power2.inOut",
-            onUpdate: () => {
-                this.controls.update();
-            }
-        });
+        // Two seconds of struggling: drop a level
+        if (this.slowFrameTime > 2000 && this.qualityLevel < this.qualityLevels.length - 1) {
+            this.qualityDowngrades[this.qualityLevel] = (this.qualityDowngrades[this.qualityLevel] || 0) + 1;
+            this.setQualityLevel(this.qualityLevel + 1);
+        }
+        
+        // Ten smooth seconds: try one level up, unless that level already failed twice
+        const higherLevel = this.qualityLevel - 1;
+        if (this.fastFrameTime > 10000 && higherLevel >= 0 && (this.qualityDowngrades[higherLevel] || 0) < 2) {
+            this.setQualityLevel(higherLevel);
+        }
     }
     
-    moveEarthToLeft() {
-        const aspect = window.innerWidth / window.innerHeight;
-        const fov = this.camera.fov * Math.PI / 180;
-        const distance = 160;
+    setQualityLevel(level) {
+        const nextLevel = Math.min(this.qualityLevels.length - 1, Math.max(0, level));
+        if (nextLevel === this.qualityLevel) return;
         
-        // Calculate right offset for camera target (Earth moves left)
-        const rightLookOffset = Math.tan(fov / 2) * distance * aspect;
+        this.qualityLevel = nextLevel;
+        this.slowFrameTime = 0;
+        this.fastFrameTime = 0;
         
-        // Animate the controls target back to right look (Earth moves left)
-        gsap.to(this.controls.target, {
-            duration: 2.5,
-            x: rightLookOffset,
-            y: 0,
-            z: 0,
-            ease: "power2.inOut",
-            onUpdate: () => {
-                this.controls.update();
-            }
-        });
+        const quality = this.qualityLevels[nextLevel];
+        console.log(`Render quality: ${quality.name}`);
+        
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, quality.maxPixelRatio));
+        
+        if (this.earth) {
+            const oldGeometry = this.earth.geometry;
+            this.earth.geometry = new THREE.SphereGeometry(50, quality.earthSegments[0], quality.earthSegments[1]);
+            oldGeometry.dispose();
+        }
+        if (this.clouds) {
+            const oldGeometry = this.clouds.geometry;
+            this.clouds.geometry = new THREE.SphereGeometry(50.5, quality.cloudSegments[0], quality.cloudSegments[1]);
+            oldGeometry.dispose();
+        }
+        if (this.atmosphere) {
+            const oldGeometry = this.atmosphere.geometry;
+            this.atmosphere.geometry = new THREE.SphereGeometry(this.atmosphereRadius, quality.cloudSegments[0], quality.cloudSegments[1]);
+            oldGeometry.dispose();
+        }
     }
     
-    onWindowResize() {
-        this.camera.aspect = window.innerWidth / window.innerHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+    updateDebugOverlay(now) {
+        if (!this.debugMode || now - this.debugOverlayUpdated < 500) return;
+        this.debugOverlayUpdated = now;
+        
+        const overlay = this.getElement('debugOverlay');
+        if (overlay) {
+            const quality = this.qualityLevels[this.qualityLevel];
+            overlay.textContent = `FPS ${(1000 / this.averageFrameTime).toFixed(1)}` +
+                ` | ${this.averageWorkTime.toFixed(1)}ms` +
+                ` | ${quality.name.toUpperCase()}` +
+                ` | DPR ${this.renderer.getPixelRatio().toFixed(2)}` +
+                ` | ${this.textureTier || '--'}`;
+        }
     }
     
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    animate(now = performance.now()) {
+        if (this.isPaused || this.destroyed) return;
+        this.animationFrame = requestAnimationFrame((time) => this.animate(time));
+        
+        // Frame cap: skip frames that arrive before the budget is used up
+        const frameTime = now - this.lastFrameTime;
+        const minFrameTime = 1000 / this.maxFps;
+        if (frameTime < minFrameTime - 1) return;
+        // Carry the overshoot so the cap averages out to maxFps instead of drifting below it
+        this.lastFrameTime = frameTime >= minFrameTime ? now - (frameTime % minFrameTime) : now;
+        
+        // Real time since the last rendered frame, for motion and the FPS readout
+        const elapsed = now - this.lastRenderTime;
+        this.lastRenderTime = now;
+        const workStart = performance.now();
+        
+        // Rotation speeds below are tuned per 60fps frame
+        const frameScale = Math.min(elapsed / (1000 / 60), 4);
+        const rotationScale = this.reducedMotion ? this.reducedRotationScale : 1;
         
         if (this.isAnimating && this.earthGroup) {
-            // Rotate Earth (increased by 40%)
-            this.earth.rotation.y += 0.0028 * this.earthRotationSpeed;
+            if (this.useRealtimeSun) {
+                // Rotation follows the simulated clock instead of spinning freely
+                this.updateRealtimeSun();
+            } else if (!this.globeHeld) {
+                // Rotate Earth (increased by 40%)
+                this.earth.rotation.y += 0.0028 * this.earthRotationSpeed * frameScale * rotationScale;
+            }
             
             // Rotate clouds faster (increased by 90% total - 50% previous + 40% additional)
             if (this.clouds) {
-                this.clouds.rotation.y += 0.0063 * this.cloudRotationSpeed;
+                this.clouds.rotation.y += 0.0063 * this.cloudRotationSpeed * frameScale * rotationScale;
             }
             
-            // Atmosphere animation removed - atmosphere layer was removed
+            // Gentle pulse on markers
+            this.animateMarkers();
+            
+            // Sponsor satellites keep orbiting
+            this.animateSponsors(frameScale, rotationScale);
+            
+            // Keep the rim glow tuned to the current camera distance
+            this.updateAtmosphere();
             
             // Slowly rotate stars
-            if (this.stars) {
-                this.stars.rotation.y += 0.0001;
+            if (this.stars && !this.reducedMotion) {
+                this.stars.rotation.y += 0.0001 * frameScale;
             }
         }
         
+        // Keep the camera over a focused marker as the globe turns
+        if (this.focusedMarker && this.sceneState.is('focus')) {
+            this.camera.position.copy(this.getMarkerCameraPosition(this.focusedMarker));
+        }
+        
+        if (this.hoveredMarker || this.focusedMarker) {
+            this.updateMarkerLabel();
+        }
+        
+        if (this.hoveredSponsor) {
+            this.updateSponsorLabel();
+        }
+        
         // Update controls
         if (this.controls) {
             this.controls.update();
@@ -873,19 +7364,8 @@ class EarthVisualization {
         if (this.renderer && this.scene && this.camera) {
             this.renderer.render(this.scene, this.camera);
         }
+        
+        this.measureFrame(elapsed, performance.now() - workStart);
+        this.updateDebugOverlay(now);
     }
 }
-
-// Initialize the Earth visualization when the page loads
-window.addEventListener('load', () => {
-    new EarthVisualization();
-});
-
-// Handle page visibility changes for performance
-document.addEventListener('visibilitychange', () => {
-    if (document.hidden) {
-        // Pause animations when tab is not visible
-    } else {
-        // Resume animations when tab becomes visible
-    }
-});